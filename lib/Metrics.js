@@ -0,0 +1,167 @@
+/*
+ Per-host tile generation metrics, and their rendering in the Prometheus text format.
+ */
+
+/**
+ * Histogram with cumulative buckets, similar to the Prometheus histograms
+ */
+class Histogram {
+  /**
+   * @param {number[]} buckets upper bounds of the buckets in ascending order
+   */
+  constructor(buckets) {
+    this.buckets = buckets;
+    this.counts = Array(buckets.length).fill(0);
+    this.sum = 0;
+    this.count = 0;
+  }
+
+  observe(value) {
+    for (let i = 0; i < this.buckets.length; i++) {
+      if (value <= this.buckets[i]) {
+        this.counts[i]++;
+      }
+    }
+    this.sum += value;
+    this.count++;
+  }
+
+  /**
+   * @returns {Object} {buckets: {upperBound: cumulativeCount, ...}, sum, count}
+   */
+  toJSON() {
+    const buckets = {};
+    this.buckets.forEach((b, i) => {
+      buckets[b] = this.counts[i];
+    });
+    return { buckets, sum: this.sum, count: this.count };
+  }
+}
+
+/**
+ * Metrics of a single PostgreSQL server
+ */
+class HostMetrics {
+  constructor() {
+    // zoom -> {ok, empty, error, timeout} request counts
+    this.requests = {};
+    // query time in milliseconds
+    this.latency = new Histogram([5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000]);
+    // size of the returned (compressed) tiles in bytes
+    this.tileSize = new Histogram([512, 1024, 4096, 16384, 65536, 262144, 524288, 1048576]);
+    // compression time in milliseconds
+    this.compressTime = new Histogram([0.1, 0.25, 0.5, 1, 2.5, 5, 10, 25, 50, 100]);
+  }
+
+  /**
+   * Record a tile request
+   * @param {number} z zoom of the tile
+   * @param {string} outcome one of 'ok', 'empty', 'error', or 'timeout'
+   * @param {number} latency query time in milliseconds
+   * @param {number} [size] tile size in bytes, for the 'ok' outcome
+   * @param {number} [compressTime] compression time in milliseconds, if the tile was compressed
+   */
+  addRequest(z, outcome, latency, size, compressTime) {
+    if (!this.requests[z]) {
+      this.requests[z] = {
+        ok: 0, empty: 0, error: 0, timeout: 0,
+      };
+    }
+    this.requests[z][outcome]++;
+    this.latency.observe(latency);
+    if (size !== undefined) {
+      this.tileSize.observe(size);
+    }
+    if (compressTime !== undefined) {
+      this.compressTime.observe(compressTime);
+    }
+  }
+
+  toJSON() {
+    return {
+      requests: this.requests,
+      latency: this.latency.toJSON(),
+      tileSize: this.tileSize.toJSON(),
+      compressTime: this.compressTime.toJSON(),
+    };
+  }
+}
+
+// Escape a Prometheus label value
+function escapeLabel(value) {
+  return `${value}`.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const keys = Object.keys(labels);
+  return keys.length === 0 ? '' : `{${keys.map(k => `${k}="${escapeLabel(labels[k])}"`).join(',')}}`;
+}
+
+/**
+ * Render the result of PgQuery.getStats() in the Prometheus text exposition format
+ * @param {Object} stats
+ * @param {Object} [labels] labels to add to every metric, e.g. {source: 'name'}
+ * @returns {string}
+ */
+function formatPrometheus(stats, labels = {}) {
+  const lines = [];
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [suffix, sampleLabels, value] of samples) {
+      lines.push(`${name}${suffix}${formatLabels(Object.assign({}, labels, sampleLabels))} ${value}`);
+    }
+  };
+  const perHost = fn => stats.hosts.map(h => ['', { host: h.name }, fn(h)]);
+  // Histograms in milliseconds are exported in seconds, as recommended by Prometheus
+  const histogram = (name, help, field, scale) => {
+    const samples = [];
+    for (const h of stats.hosts) {
+      const hist = h[field];
+      const host = { host: h.name };
+      for (const b of Object.keys(hist.buckets)) {
+        samples.push(['_bucket', Object.assign({ le: `${b * scale}` }, host), hist.buckets[b]]);
+      }
+      samples.push(
+        ['_bucket', Object.assign({ le: '+Inf' }, host), hist.count],
+        ['_sum', host, hist.sum * scale],
+        ['_count', host, hist.count]
+      );
+    }
+    metric(name, 'histogram', help, samples);
+  };
+
+  const requests = [];
+  for (const h of stats.hosts) {
+    for (const z of Object.keys(h.requests)) {
+      for (const outcome of Object.keys(h.requests[z])) {
+        requests.push(['', { host: h.name, zoom: z, outcome }, h.requests[z][outcome]]);
+      }
+    }
+  }
+  metric('pgquery_requests_total', 'counter', 'Number of tile queries', requests);
+  histogram('pgquery_query_duration_seconds', 'Tile query duration', 'latency', 0.001);
+  histogram('pgquery_tile_size_bytes', 'Size of the generated tiles', 'tileSize', 1);
+  histogram('pgquery_compression_duration_seconds', 'Tile compression duration', 'compressTime', 0.001);
+  metric('pgquery_host_up', 'gauge', 'Whether the host is healthy', perHost(h => (h.healthy ? 1 : 0)));
+  const lag = stats.hosts
+    .filter(h => typeof h.replicationLag === 'number')
+    .map(h => ['', { host: h.name }, h.replicationLag / 1000]);
+  if (lag.length > 0) {
+    metric('pgquery_replication_lag_seconds', 'gauge', 'Replication lag', lag);
+  }
+  metric('pgquery_pool_clients', 'gauge', 'Pool clients', perHost(h => h.pool.total));
+  metric('pgquery_pool_idle_clients', 'gauge', 'Idle pool clients', perHost(h => h.pool.idle));
+  metric('pgquery_pool_waiting_requests', 'gauge', 'Waiting requests', perHost(h => h.pool.waiting));
+  const coalesced = [['', {}, stats.coalesced]];
+  metric('pgquery_coalesced_requests_total', 'counter', 'Shared in-flight requests', coalesced);
+  metric('pgquery_cache_requests_total', 'counter', 'Tile cache lookups', [
+    ['', { result: 'hit' }, stats.cacheHits],
+    ['', { result: 'revalidated' }, stats.cacheRevalidated],
+    ['', { result: 'miss' }, stats.cacheMisses],
+  ]);
+  metric('pgquery_cache_entries', 'gauge', 'Cached tiles', [['', {}, stats.cacheEntries]]);
+  metric('pgquery_cache_bytes', 'gauge', 'Cached tiles size', [['', {}, stats.cacheBytes]]);
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = { Histogram, HostMetrics, formatPrometheus };
@@ -4,15 +4,31 @@
 /*
  PgQuery executes PostgreSQL queries to generate tiles.
  */
-/* eslint-disable no-param-reassign,no-console */
+/* eslint-disable no-param-reassign */
 const { promisify, callbackify } = require('util');
 const fs = require('fs');
-const { Pool } = require('pg');
+const path = require('path');
+const crypto = require('crypto');
+const net = require('net');
+const tls = require('tls');
+const querystring = require('querystring');
+const EventEmitter = require('events');
+const { Readable } = require('stream');
+const { Pool, Client, defaults: pgDefaults } = require('pg');
 const checkType = require('@kartotherian/input-validator');
-const gzipAsync = promisify(require('zlib').gzip);
-const { gunzipSync } = require('zlib');
+const zlib = require('zlib');
 const dnsLookupAsync = promisify(require('dns').lookup);
 
+const mvt = require('./mvt');
+const connection = require('./connection');
+const config = require('./config');
+const TileCache = require('./TileCache');
+const TileBounds = require('./TileBounds');
+const { getTileMatrixSet, bboxToTileRange } = require('./tileMatrixSets');
+const { HostMetrics, formatPrometheus } = require('./Metrics');
+const {
+  createConsoleLogger, checkLogger, getDefaultLogger, setDefaultLogger, errorFields,
+} = require('./logger');
 const pckg = require('../package.json');
 
 /**
@@ -21,6 +37,166 @@ const pckg = require('../package.json');
  */
 const tileDoesNotExist = 'Tile does not exist';
 
+/**
+ * Error code set on the errors thrown when a tile query runs longer than the queryTimeout
+ * @type {string}
+ */
+const queryTimeoutCode = 'QUERY_TIMEOUT';
+
+/**
+ * Error code set on the errors of the requests rejected or cancelled by shutdownAsync() and close()
+ * @type {string}
+ */
+const shuttingDownCode = 'SHUTTING_DOWN';
+
+/**
+ * Milliseconds to wait for the cancelled queries to stop after the shutdownTimeout
+ */
+const cancelTimeout = 5000;
+
+function shuttingDownError() {
+  const err = new Error('The tile source is shutting down');
+  err.code = shuttingDownCode;
+  return err;
+}
+
+/**
+ * Supported tile compression formats, keyed by their Content-Encoding value. zstd requires
+ * a Node.js version with zstd support in zlib, but is detected by its magic number regardless.
+ */
+const compressions = {
+  gzip: {
+    compress: promisify(zlib.gzip),
+    decompress: zlib.gunzipSync,
+  },
+  zstd: {
+    magic: Buffer.from('28b52ffd', 'hex'),
+    compress: zlib.zstdCompress && promisify(zlib.zstdCompress),
+    decompress: zlib.zstdDecompressSync,
+  },
+  br: {
+    compress: promisify(zlib.brotliCompress),
+    decompress: zlib.brotliDecompressSync,
+  },
+};
+
+/**
+ * Detect if the data was compressed with any of the supported formats
+ * @param {Buffer} value
+ * @returns {Object} {compression, uncompressed}, or an empty object for the uncompressed data.
+ *   uncompressed is not set if the format was detected, but cannot be decompressed.
+ */
+function detectCompression(value) {
+  for (const [compression, { magic, decompress }] of Object.entries(compressions)) {
+    if (!magic || value.subarray(0, magic.length).equals(magic)) {
+      let uncompressed;
+      try {
+        uncompressed = decompress ? decompress(value) : undefined;
+      } catch (err) {
+        // not compressed with this format
+      }
+      // Brotli has no magic number, and decodes some raw data as an empty stream
+      if (magic ? (uncompressed || !decompress) : (uncompressed && uncompressed.length > 0)) {
+        return { compression, uncompressed };
+      }
+    }
+  }
+  return {};
+}
+
+/**
+ * Supported types of the request-time tile parameters: the regex to validate the value,
+ * the function to convert it to a JSON value, and the SQL type of the function argument.
+ */
+const tileParamTypes = {
+  text: { re: /^[\s\S]*$/, convert: v => v, sql: 'text' },
+  integer: { re: /^-?\d{1,15}$/, convert: v => parseInt(v, 10), sql: 'integer' },
+  numeric: { re: /^-?\d+(\.\d+)?$/, convert: v => parseFloat(v), sql: 'numeric' },
+  boolean: { re: /^(true|false|1|0)$/i, convert: v => /^(true|1)$/i.test(v), sql: 'boolean' },
+  date: { re: /^\d{4}-\d\d-\d\d$/, convert: v => v, sql: 'date' },
+  timestamp: {
+    re: /^\d{4}-\d\d-\d\d[T ]\d\d:\d\d(:\d\d(\.\d+)?)?(Z|[+-]\d\d(:?\d\d)?)?$/,
+    convert: v => v,
+    sql: 'timestamptz',
+  },
+};
+
+/**
+ * TileJSON fields that can be set with the parameters of the same name, and their types.
+ * Numeric lists are given as comma-separated values, e.g. bounds=-10,40,10,60
+ */
+const tilejsonFields = {
+  attribution: 'string',
+  bounds: 4,
+  center: 3,
+  description: 'string',
+  fillzoom: 'zoom',
+  format: 'string',
+  id: 'string',
+  legend: 'string',
+  scheme: 'string',
+  template: 'string',
+  version: 'string',
+};
+
+// Quote an SQL identifier, e.g. a table or a column name
+function quoteIdent(name) {
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Enumerate the tiles of the given tile ranges
+ * @param {number[][]} ranges [minX, minY, maxX, maxY] for each zoom from minzoom to maxzoom
+ * @param {number} minzoom
+ * @param {number} maxzoom
+ * @param {string} order either scanline (zoom by zoom, row by row), or pyramid (each tile is
+ *   followed by all of its descendants)
+ * @param {number[][]} sizes [width, height] of the tile matrix of each zoom. The children of
+ *   a tile in the pyramid order are the tiles of the next zoom whose top left corner is in it,
+ *   so that the grids that do not double with each zoom are enumerated as well.
+ * @returns {Iterator<number[]>} [z, x, y] of each tile
+ */
+function* enumerateTiles(ranges, minzoom, maxzoom, order, sizes) {
+  if (order === 'scanline') {
+    for (let z = minzoom; z <= maxzoom; z++) {
+      const [minX, minY, maxX, maxY] = ranges[z];
+      for (let y = minY; y <= maxY; y++) {
+        for (let x = minX; x <= maxX; x++) {
+          yield [z, x, y];
+        }
+      }
+    }
+    return;
+  }
+  const [minX, minY, maxX, maxY] = ranges[minzoom];
+  const stack = [];
+  for (let y = maxY; y >= minY; y--) {
+    for (let x = maxX; x >= minX; x--) {
+      stack.push([minzoom, x, y]);
+    }
+  }
+  while (stack.length > 0) {
+    const [z, x, y] = stack.pop();
+    yield [z, x, y];
+    if (z < maxzoom) {
+      const range = ranges[z + 1];
+      // First and last child column or row of the tile column or row v
+      const children = (v, size, childSize) => [
+        Math.ceil((v * childSize) / size),
+        Math.ceil(((v + 1) * childSize) / size) - 1,
+      ];
+      const [minCX, maxCX] = children(x, sizes[z][0], sizes[z + 1][0]);
+      const [minCY, maxCY] = children(y, sizes[z][1], sizes[z + 1][1]);
+      // Pushed in reverse, so that the children come out row by row
+      for (let cy = Math.min(maxCY, range[3]); cy >= Math.max(minCY, range[1]); cy--) {
+        for (let cx = Math.min(maxCX, range[2]); cx >= Math.max(minCX, range[0]); cx--) {
+          stack.push([z + 1, cx, cy]);
+        }
+      }
+    }
+  }
+}
+
 // If the parameter is given, treat empty, '0', and 'false' as a false, and everything else as true
 // If `allowAuto` is true, will treat undefined as 'auto'
 function toBool(value, allowAuto) {
@@ -34,37 +210,317 @@ function toBool(value, allowAuto) {
   return v !== '' && v !== '0' && v !== 'false';
 }
 
-// Validate sslmode, and return the appropriate ssl parameter for pg.Pool
-function getSslParam(sslmode) {
-  switch (sslmode) {
-    case 'disable':
-      return false;
-    case 'require':
-      return {
-        rejectUnauthorized: false,
-      };
-    default:
-      throw new Error(`Unsupported sslmode "${sslmode}". Only "disable" and "require" are supported.`);
+/**
+ * Node.js network error codes and SQLSTATE codes that indicate a problem with the server or
+ * the connection to it, rather than with the tile query itself. Any SQLSTATE of class 08
+ * (connection exception) is also treated as a connection error.
+ */
+const connectionErrorCodes = new Set([
+  'ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH',
+  'ETIMEDOUT', 'EPIPE',
+  '53300', // too_many_connections
+  '57P01', // admin_shutdown
+  '57P02', // crash_shutdown
+  '57P03', // cannot_connect_now
+]);
+
+function isConnectionError(err) {
+  if (err.code) {
+    return connectionErrorCodes.has(err.code) || /^08/.test(err.code);
+  }
+  // node-postgres reports some connection problems without an error code
+  return /^Connection terminated|timeout exceeded when trying to connect/.test(err.message);
+}
+
+/**
+ * SQLSTATE classes of the errors that may succeed if the query is simply run again:
+ * 40 - transaction rollback, e.g. serialization failure or deadlock,
+ * 53 - insufficient resources, e.g. too many connections
+ */
+const transientErrorClasses = /^(40|53)/;
+
+// Errors worth retrying, possibly on another server. Query timeouts are not retried.
+function isTransientError(err) {
+  return isConnectionError(err) || (!!err.code && transientErrorClasses.test(err.code));
+}
+
+const sleepAsync = promisify(setTimeout);
+
+/**
+ * Connection pools shared by the sources of the same config file, keyed by the config file
+ * and the pool options. Each value is {pg, users}, where users is the number of sources using it.
+ */
+const sharedPools = new Map();
+
+// Number of the created sources, used to give each of them unique prepared statement names,
+// because the sources that share a connection pool also share the prepared statements
+let sourceCount = 0;
+
+// End a connection pool, unless it is still used by other sources of the same config file
+function endPool(pool) {
+  if (pool.sharedKey) {
+    const shared = sharedPools.get(pool.sharedKey);
+    shared.users--;
+    if (shared.users > 0) {
+      return Promise.resolve();
+    }
+    sharedPools.delete(pool.sharedKey);
+  }
+  return pool.pg.end();
+}
+
+// Milliseconds since the given process.hrtime() value
+function elapsedMs(start) {
+  const [sec, nsec] = process.hrtime(start);
+  return (sec * 1000) + (nsec / 1e6);
+}
+
+/**
+ * Weight of the latest query time in the exponentially weighted moving average
+ * of each server's query time
+ * @type {number}
+ */
+const latencyWeight = 0.2;
+
+function updateLatency(pool, latency) {
+  pool.avgLatency = pool.avgLatency === undefined
+    ? latency
+    : pool.avgLatency + (latencyWeight * (latency - pool.avgLatency));
+}
+
+// Pool with the lowest number of pending requests, adjusted by the pool's multiplier
+function leastPending(pools) {
+  return pools.reduce((a, b) => (b.multiplier * b.pending < a.multiplier * a.pending ? b : a));
+}
+
+// Expected time to handle a new request, assuming the pending ones take the average time.
+// Servers without any measurements yet are preferred to get their first one.
+function expectedLatency(pool) {
+  return (pool.pending + 1) * (pool.avgLatency || 0);
+}
+
+/**
+ * Load balancing strategies, each selecting one of the given pools (in the order of the hosts)
+ * for the next request
+ */
+const balancers = {
+  'least-pending': leastPending,
+  latency: pools => pools.reduce((a, b) => (expectedLatency(b) < expectedLatency(a) ? b : a)),
+  // Pick two random servers, and use the one with the fewer pending requests
+  'power-of-two': (pools) => {
+    if (pools.length < 2) {
+      return pools[0];
+    }
+    const first = Math.floor(Math.random() * pools.length);
+    const second = (first + 1 + Math.floor(Math.random() * (pools.length - 1))) % pools.length;
+    return leastPending([pools[first], pools[second]]);
+  },
+  // Use the first server until all of its connections are busy
+  primary: pools => (pools.length < 2 || pools[0].pending < pools[0].pg.options.max
+    ? pools[0]
+    : leastPending(pools.slice(1))),
+};
+
+// Split an optional "minzoom-maxzoom:" or "zoom:" prefix from the parameter value
+function parseZoomPrefix(value, minzoom, maxzoom) {
+  const match = /^(\d+)(?:-(\d+))?:([\s\S]*)$/.exec(value);
+  if (!match) {
+    return { minzoom, maxzoom, value };
+  }
+  const min = parseInt(match[1], 10);
+  const max = match[2] === undefined ? min : parseInt(match[2], 10);
+  if (min > max || min < minzoom || max > maxzoom) {
+    throw new Error(`Zoom range ${min}-${max} in "${value}" must be within ${minzoom}-${maxzoom}`);
+  }
+  return { minzoom: min, maxzoom: max, value: match[3] };
+}
+
+/**
+ * Parse a non-negative integer parameter that can be set for all zooms at once, or separately
+ * for zoom ranges, e.g. "1000", or ["1000", "0-9:500", "14:5000"]. Later values override
+ * the earlier ones.
+ * @returns {number[]} the value for each zoom from 0 to maxzoom
+ */
+function parseZoomValues(params, name, defaultValue) {
+  const result = Array(params.maxzoom + 1).fill(defaultValue);
+  let values = params[name];
+  if (values === undefined) {
+    return result;
+  }
+  if (!Array.isArray(values)) {
+    values = [values];
+  }
+  for (const val of values) {
+    const { minzoom, maxzoom, value } = parseZoomPrefix(val.toString(), 0, params.maxzoom);
+    if (!/^\d+$/.test(value)) {
+      throw new Error(`Parameter ${name} has invalid value '${val}'`);
+    }
+    result.fill(parseInt(value, 10), minzoom, maxzoom + 1);
+  }
+  return result;
+}
+
+/**
+ * Convert a tile query into a query for many tiles of the same zoom. The $1, $2, and $3
+ * parameters become the z, x, and y columns of the arrays passed as $1, $2, and $3,
+ * and each result row is prefixed with its tile's z, x, and y. Other parameters keep their
+ * positions. The query runs once per tile, so tiles without any rows are empty.
+ * @param {string} query
+ * @returns {string}
+ */
+function toBatchQuery(query) {
+  const tileQuery = query.trim()
+    .replace(/;$/, '')
+    .replace(/\$([123])(?!\d)/g, (m, ind) => `pgquery_tiles.${'zxy'[ind - 1]}`);
+  return `SELECT pgquery_tiles.*, pgquery_tile.*
+FROM unnest($1::integer[], $2::integer[], $3::integer[]) AS pgquery_tiles(z, x, y)
+CROSS JOIN LATERAL (
+${tileQuery}
+) AS pgquery_tile;`;
+}
+
+/**
+ * Supported sslmode values, see https://www.postgresql.org/docs/current/libpq-ssl.html
+ */
+const sslModes = ['disable', 'prefer', 'require', 'verify-ca', 'verify-full'];
+
+// Read a file given by one of the SSL parameters
+function readSslFile(params, name) {
+  try {
+    return fs.readFileSync(params[name]);
+  } catch (err) {
+    throw new Error(`Unable to read the ${name} file "${params[name]}": ${err.message}`);
+  }
+}
+
+// Validate sslmode and the certificate parameters, and return the ssl parameter for pg.Pool
+function getSslParam(params) {
+  const { sslmode } = params;
+  if (!sslModes.includes(sslmode)) {
+    throw new Error(`Unsupported sslmode "${sslmode}". Must be one of ${sslModes.join(', ')}.`);
+  }
+  if (sslmode === 'disable') {
+    return false;
+  }
+  const ssl = {};
+  if (params.sslcert || params.sslkey) {
+    if (!params.sslcert || !params.sslkey) {
+      throw new Error('Parameters sslcert and sslkey must be used together');
+    }
+    ssl.cert = readSslFile(params, 'sslcert');
+    ssl.key = readSslFile(params, 'sslkey');
+    if (params.sslpassword) {
+      ssl.passphrase = params.sslpassword;
+    }
+    // An invalid key would make the connections hang instead of failing
+    try {
+      crypto.createPrivateKey({ key: ssl.key, passphrase: ssl.passphrase });
+    } catch (err) {
+      const hint = ssl.passphrase ? '' : ' Encrypted keys require the sslpassword parameter.';
+      throw new Error(`Unable to load the sslkey file "${params.sslkey}": ${err.message}.${hint}`);
+    }
+  }
+  if (params.sslrootcert) {
+    ssl.ca = readSslFile(params, 'sslrootcert');
+  }
+  // Same as libpq, the server certificate is also verified in the prefer and require modes
+  // if the root certificate is given. Otherwise, the Node.js trusted CAs are used.
+  ssl.rejectUnauthorized = sslmode === 'verify-ca' || sslmode === 'verify-full' || !!ssl.ca;
+  if (ssl.rejectUnauthorized && sslmode !== 'verify-full') {
+    // Only verify the certificate chain, but not that the certificate matches the host name
+    ssl.checkServerIdentity = () => undefined;
+  }
+  return ssl;
+}
+
+/**
+ * Copy the ssl parameter for each host, because sslmode=prefer may disable it for some of them.
+ * With verify-full, the certificate must match the given host name, even if the host is an IP,
+ * or was resolved to one with resolveDns.
+ */
+function getHostSslParam(ssl, hostname) {
+  const result = Object.assign({}, ssl);
+  if (ssl.rejectUnauthorized && !ssl.checkServerIdentity) {
+    result.checkServerIdentity = (_, cert) => tls.checkServerIdentity(hostname, cert);
+    if (net.isIP(hostname) === 0) {
+      result.servername = hostname;
+    }
   }
+  return result;
 }
 
-module.exports = class PgQuery {
+module.exports = class PgQuery extends EventEmitter {
   constructor(uri, callback) {
+    super();
     callbackify(() => this.init(uri))(callback);
   }
 
   async init(uri) {
+    try {
+      return await this._initAsync(uri);
+    } catch (err) {
+      // Release the connection pools, which may be shared with other sources
+      if (this.pgpools) {
+        await this.shutdownAsync().catch(() => {});
+      }
+      throw err;
+    }
+  }
+
+  async _initAsync(uri) {
+    sourceCount++;
+    this.sourceId = sourceCount;
     // Performance optimization - there will be a lot of these errors
     this.noTileError = new Error(tileDoesNotExist);
     const params = checkType.normalizeUrl(uri).query;
     this._params = params;
 
-    const envVars = [];
+    // Same as libpq, the parameters take precedence over the connection string,
+    // then the service file, and then the environment variables.
+    // The config file comes right after the parameters.
+    const sources = [];
+    const useParams = (values, source) => {
+      for (const [name, value] of Object.entries(values)) {
+        if (params[name] === undefined) {
+          params[name] = value;
+        }
+      }
+      sources.push(source);
+    };
+
+    checkType(params, 'config', 'string');
+    checkType(params, 'source', 'string');
+    if (params.config) {
+      useParams(config.getSourceParams(params.config, params.source), `config "${params.config}"`);
+    } else if (params.source) {
+      throw new Error('Parameter source requires the config parameter');
+    }
+    checkType(params, 'headers', 'object');
+
+    // pino or bunyan logger, or the messages of the given level and above are printed to stderr
+    checkType(params, 'logLevel', 'string');
+    if (params.logger !== undefined) {
+      this.log = checkLogger(params.logger);
+    } else {
+      this.log = params.logLevel ? createConsoleLogger(params.logLevel) : getDefaultLogger();
+    }
+    if (typeof params.name === 'string' && params.name && this.log.child) {
+      this.log = this.log.child({ source: params.name });
+    }
+
+    checkType(params, 'connectionString', 'string');
+    if (params.connectionString) {
+      useParams(connection.parseConnectionString(params.connectionString, this.log), 'connectionString');
+    }
+    checkType(params, 'service', 'string', process.env.PGSERVICE);
+    if (params.service) {
+      useParams(connection.readService(params.service, undefined, this.log), `service "${params.service}"`);
+    }
 
     const useEnvParam = (name, env) => {
       if (params[name] === undefined && process.env[env] !== undefined) {
         params[name] = process.env[env];
-        envVars.push(env);
+        sources.push(env);
       }
     };
 
@@ -73,8 +529,8 @@ module.exports = class PgQuery {
     useEnvParam('port', 'PGPORT');
     useEnvParam('username', 'PGUSER');
     useEnvParam('password', 'PGPASSWORD');
-    if (envVars.length > 0) {
-      console.error(`PostgreSQL connection was configured from ${envVars.join(', ')}`);
+    if (sources.length > 0) {
+      this.log.info({ sources }, `PostgreSQL connection was configured from ${sources.join(', ')}`);
     }
 
     checkType(
@@ -89,16 +545,52 @@ module.exports = class PgQuery {
     checkType(params, 'password', 'string');
     checkType(params, 'minzoom', 'zoom', 0, 0, 22);
     checkType(params, 'maxzoom', 'zoom', 14, params.minzoom, 22);
-    checkType(params, 'funcZXY', 'string');
-    checkType(params, 'query', 'string');
-    checkType(params, 'queryFile', 'string');
+    checkType(params, 'funcZXY', 'string-array');
+    checkType(params, 'query', 'string-array');
+    checkType(params, 'queryFile', 'string-array');
+    checkType(params, 'watchQueryFile', 'boolean');
+    checkType(params, 'watchInterval', 'integer', 1000, 1);
+    checkType(params, 'tileParam', 'string-array');
+    checkType(params, 'tables', 'string-array');
+    checkType(params, 'tileMatrixSet', 'string', 'WebMercatorQuad');
+    checkType(params, 'boundsFile', 'string');
+    checkType(params, 'extent', 'integer', 4096, 1);
+    checkType(params, 'buffer', 'integer', 64, 0);
     checkType(params, 'resolveDns', 'boolean');
     checkType(params, 'errorsAsEmpty', 'boolean');
     checkType(params, 'connectionInitQuery', 'string');
     checkType(params, 'name', 'string');
     checkType(params, 'contentType', 'string', 'auto');
     checkType(params, 'contentEncoding', 'string', 'auto');
+    checkType(params, 'compression', 'string', 'auto');
     checkType(params, 'sslmode', 'string', 'disable');
+    checkType(params, 'sslrootcert', 'string');
+    checkType(params, 'sslcert', 'string');
+    checkType(params, 'sslkey', 'string');
+    checkType(params, 'sslpassword', 'string');
+    checkType(params, 'metadataQuery', 'string');
+    checkType(params, 'metadataFunc', 'string');
+    checkType(params, 'sampleTile', 'string-array');
+    checkType(params, 'cacheMaxBytes', 'integer', 0, 0);
+    checkType(params, 'cacheMaxEntries', 'integer', 0, 0);
+    checkType(params, 'keyQuery', 'string');
+    checkType(params, 'listenChannel', 'string');
+    checkType(params, 'maxFailures', 'integer', 3, 1);
+    checkType(params, 'healthCheckInterval', 'integer', 5000, 0);
+    checkType(params, 'connectionTimeout', 'integer', 0, 0);
+    checkType(params, 'applicationName', 'string');
+    checkType(params, 'balancing', 'string', 'least-pending');
+    if (!balancers[params.balancing]) {
+      throw new Error(`Unknown balancing "${params.balancing}", must be one of ${Object.keys(balancers).join(', ')}`);
+    }
+    checkType(params, 'maxReplicationLag', 'integer', 0, 0);
+    checkType(params, 'replicationCheckInterval', 'integer', params.maxReplicationLag ? 5000 : 0, 0);
+    checkType(params, 'retries', 'integer', 0, 0);
+    checkType(params, 'retryDelay', 'integer', 100, 0);
+    checkType(params, 'retryTimeout', 'integer', 10000, 0);
+    checkType(params, 'shutdownTimeout', 'integer', 5000, 0);
+    checkType(params, 'batchSize', 'integer', 100, 1);
+    checkType(params, 'batchConcurrency', 'integer', 4, 1);
     // delay handling key, gzip, testOnStartup, prepareStatement, specInfo, and serverInfo
 
     this.paramKey = toBool(params.key, true);
@@ -107,55 +599,169 @@ module.exports = class PgQuery {
     // handle legacy nogzip param
     const noGzip = toBool(params.nogzip, true);
     if (noGzip !== 'auto') {
-      console.error('WARNING: parameter nogzip is now obsolete. Please use gzip parameter instead, or just delete it if it can be auto-detected.');
+      this.log.warn('parameter nogzip is now obsolete. Please use gzip parameter instead, or just delete it if it can be auto-detected.');
       if (this.paramGzip === 'auto') {
         this.paramGzip = !noGzip;
       } else {
-        console.error('WARNING: parameter nogzip is ignored because parameter gzip is also set.');
+        this.log.warn('parameter nogzip is ignored because parameter gzip is also set.');
       }
     }
 
-    // validate sslmode
-    getSslParam(params.sslmode);
+    this.paramCompression = params.compression;
+    if (this.paramCompression !== 'auto' && this.paramCompression !== 'none') {
+      const compression = compressions[this.paramCompression];
+      if (!compression) {
+        throw new Error(`Unknown compression "${this.paramCompression}", must be one of auto, gzip, br, zstd, or none`);
+      }
+      if (!compression.compress) {
+        throw new Error(`Compression "${this.paramCompression}" is not supported by Node.js ${process.version}`);
+      }
+    }
+    if (this.paramGzip !== 'auto') {
+      if (this.paramCompression !== 'auto') {
+        throw new Error('Parameters gzip and compression cannot be used together');
+      }
+      this.paramCompression = this.paramGzip ? 'gzip' : 'none';
+    }
+
+    // validate sslmode, and load the certificates
+    this.ssl = getSslParam(params);
+
+    this.tilejson = PgQuery.parseTilejsonParams(params);
+    this.vectorLayers = [];
+
+    // Tiles being generated, keyed by z/x/y and tile params, to share them with identical requests
+    this.inflight = new Map();
+    // Incremented by each invalidation, so that the tiles generated before it are not cached
+    this.invalidationEpoch = 0;
+    // Connections that have prepared the statements of this source. The names of the statements
+    // prepared on each connection are kept in its pgqueryStatements set.
+    this.statementClients = new Set();
+    // Prepared statements of the replaced queries, each with the connections that still have it.
+    // They are deallocated from each connection on its next use.
+    this.staleStatements = new Map();
+    this.stats = {
+      coalesced: 0,
+      cacheHits: 0,
+      cacheRevalidated: 0,
+      cacheMisses: 0,
+      queryReloads: 0,
+      queryReloadErrors: 0,
+    };
+
+    if (params.cacheMaxBytes || params.cacheMaxEntries) {
+      this.cache = new TileCache(params.cacheMaxBytes, params.cacheMaxEntries);
+      this.cacheTtls = parseZoomValues(params, 'cacheTtl', 0);
+      if (params.keyQuery) {
+        this.keyQueryDef = { type: 'query', getTileQueryObj: { text: params.keyQuery, rowMode: 'array' } };
+      }
+    } else if (params.cacheTtl !== undefined || params.keyQuery) {
+      throw new Error('Parameters cacheTtl and keyQuery require cacheMaxBytes or cacheMaxEntries to be set');
+    }
+
+    this.queryTimeouts = parseZoomValues(params, 'queryTimeout', 0);
+
+    this.tileMatrixSet = getTileMatrixSet(params.tileMatrixSet);
 
-    // Pre-compute maximum allowed coordinate values
-    this.maxCoords = [];
+    // Pre-compute the [width, height] of the tile matrix of each zoom
+    this.matrixSizes = [];
     for (let z = 0; z <= params.maxzoom; z++) {
-      this.maxCoords.push(z >= params.minzoom ? 2 ** z : 0);
+      const size = this.tileMatrixSet.matrixSize(z);
+      if (!size) {
+        throw new Error(`Tile matrix set ${this.tileMatrixSet.id} does not define zoom ${z}, maxzoom must be ${z - 1} or less`);
+      }
+      this.matrixSizes.push(z >= params.minzoom ? size : [0, 0]);
+    }
+
+    // Tiles outside of the bounds are known to be empty, and are rejected without a query
+    if (params.boundsFile) {
+      if (this.tilejson.bounds) {
+        throw new Error('Parameters bounds and boundsFile cannot be used together');
+      }
+      this.tileBounds = TileBounds.fromGeoJSONFile(params.boundsFile, this.tileMatrixSet);
+      this.tilejson.bounds = this.tileBounds.bbox;
+    } else if (this.tilejson.bounds) {
+      this.tileBounds = TileBounds.fromBbox(this.tilejson.bounds, this.tileMatrixSet);
     }
 
     await PgQuery.resolveDns(params);
+    this.tileParams = PgQuery.parseTileParamDeclarations(params.tileParam);
+    this.pgpools = PgQuery.createPgPool(params, this.ssl, this.log);
+    if (params.sslmode === 'prefer') {
+      await this.checkSslSupportAsync();
+    }
+    for (const pool of this.pgpools) {
+      // Errors of the idle clients would crash the process unless handled
+      pool.onError = err => this._markFailure(pool, err);
+      pool.pg.on('error', pool.onError);
+      pool.onRemove = client => this._forgetClient(client);
+      pool.pg.on('remove', pool.onRemove);
+    }
+    this.startHealthChecks();
+    await this.startReplicationChecksAsync();
+    await this.generateTablesQueries(params);
     this.prepareQuery(params);
-    this.pgpools = PgQuery.createPgPool(params);
 
+    await this.loadMetadataAsync(params);
     this.printTilejsonSpec(params.specInfo);
     await this.printServerInfo(params.serverInfo);
 
-    const testTile = this.parseTestOnStartup(params.testOnStartup);
-    if (testTile) {
-      await this.testOnStartupAsync(testTile);
+    const testTiles = this.getTestTiles(params.testOnStartup);
+    if (testTiles) {
+      for (const testTile of testTiles) {
+        // eslint-disable-next-line no-await-in-loop
+        await this.testOnStartupAsync(testTile);
+      }
     } else if (this.paramKey === 'auto' || this.paramGzip === 'auto`') {
       throw new Error('Both "key" and "gzip" parameters must be set to a valid boolean value when testOnStartup is disabled');
+    } else if (params.headers) {
+      this.headers = Object.assign({}, params.headers);
     }
+    await this.sampleVectorLayersAsync(params.sampleTile);
 
     // set value after testing to prevent errorAsEmpty
     this.errorsAsEmpty = this._params.errorsAsEmpty;
+    this._initialized = true;
+
+    if (params.listenChannel) {
+      // The tiles can be served without the notifications, so keep retrying in the background
+      try {
+        await this._listenAsync();
+      } catch (err) {
+        this.log.error(errorFields(err), `Unable to LISTEN on channel ${params.listenChannel}, retrying: ${err}`);
+        this._scheduleListen();
+      }
+    }
+    this.startQueryFileWatch();
 
     return this;
   }
 
-  static createPgPool(params) {
+  static createPgPool(params, ssl, log = getDefaultLogger()) {
+    // Same as libpq, the password is looked up in the password file if it was not given
+    const pgpass = params.password === undefined ? connection.readPgpass(undefined, log) : [];
+    const user = params.username || pgDefaults.user;
+    const getPassword = (ind) => {
+      if (params.password !== undefined) {
+        return params.password;
+      }
+      const host = PgQuery.getHostname(params, ind);
+      return connection.findPgpassPassword(pgpass, host, params.port[ind], params.database, user);
+    };
     const clientOpts = params.host.map((_, ind) => ({
       database: params.database,
       host: params.host[ind],
       port: params.port[ind],
       user: params.username,
-      password: params.password,
-      ssl: getSslParam(params.sslmode),
+      password: getPassword(ind),
+      ssl: ssl && getHostSslParam(ssl, PgQuery.getHostname(params, ind)),
 
       // number of milliseconds to wait before timing out when connecting a new client
       // by default this is 0 which means no timeout
-      connectionTimeoutMillis: 0,
+      connectionTimeoutMillis: params.connectionTimeout,
+
+      // shown in pg_stat_activity, PGAPPNAME by default
+      application_name: params.applicationName,
 
       // number of milliseconds a client must sit idle in the pool and not be checked out
       // before it is disconnected from the backend and discarded
@@ -166,161 +772,1481 @@ module.exports = class PgQuery {
       // by default this is set to 10.
       max: params.maxpool[ind],
     }));
-
-    // Find the largest value for maxpool to compute a multiplier for the smaller pools
-    const largestMaxpool = params.maxpool.reduce((a, b) => Math.max(a, b));
-
-    return clientOpts.map((v) => {
-      const pool = new Pool(v);
-      if (params.connectionInitQuery) {
-        pool.on('connect', async (client) => {
-          const info = `${client.host}:${client.port}/${client.database}`;
-          try {
-            await client.query(params.connectionInitQuery);
-            console.error(`Successfully executed connectionInitQuery on ${info}`);
-          } catch (err) {
-            console.error(`ERROR executing connectionInitQuery on ${info}`, err);
-          }
-        });
+
+    // Find the largest value for maxpool to compute a multiplier for the smaller pools
+    const largestMaxpool = params.maxpool.reduce((a, b) => Math.max(a, b));
+
+    return clientOpts.map((v) => {
+      const sharedKey = params.config
+        && JSON.stringify([path.resolve(params.config), v, params.connectionInitQuery]);
+      const shared = sharedKey && sharedPools.get(sharedKey);
+      if (shared) {
+        shared.users++;
+        return PgQuery.newPoolInfo(shared.pg, v, largestMaxpool, sharedKey);
+      }
+      const pool = new Pool(v);
+      if (sharedKey) {
+        sharedPools.set(sharedKey, { pg: pool, users: 1 });
+      }
+      if (params.connectionInitQuery) {
+        pool.on('connect', async (client) => {
+          const host = `${client.host}:${client.port}`;
+          const info = `${host}/${client.database}`;
+          try {
+            await client.query(params.connectionInitQuery);
+            log.info({ host }, `Successfully executed connectionInitQuery on ${info}`);
+          } catch (err) {
+            log.error(Object.assign({ host }, errorFields(err)), `ERROR executing connectionInitQuery on ${info}: ${err}`);
+          }
+        });
+      }
+      return PgQuery.newPoolInfo(pool, v, largestMaxpool, sharedKey);
+    });
+  }
+
+  // The state of a server used by a source. Shared connection pools have a separate state
+  // for each source.
+  static newPoolInfo(pool, options, largestMaxpool, sharedKey) {
+    return {
+      pg: pool,
+      name: `${net.isIPv6(options.host) ? `[${options.host}]` : options.host}:${options.port}`,
+      pending: 0,
+      multiplier: largestMaxpool / options.max,
+      healthy: true,
+      failures: 0,
+      metrics: new HostMetrics(),
+      // Clients running the queries of this source
+      active: new Set(),
+      sharedKey,
+    };
+  }
+
+  // Host name as given in the parameters, even if resolveDns replaced it with an IP
+  static getHostname(params, index) {
+    return (params.originalHost || params.host)[index];
+  }
+
+  /**
+   * Same as libpq sslmode=prefer, use unencrypted connections to the servers without SSL support.
+   * Each server is checked once on startup.
+   */
+  async checkSslSupportAsync() {
+    await Promise.all(this.pgpools.map(async (pool) => {
+      const client = new Client(pool.pg.options);
+      try {
+        await client.connect();
+      } catch (err) {
+        if (/does not support SSL/.test(err.message)) {
+          this.log.warn({ host: pool.name }, `PostgreSQL server ${pool.name} does not support SSL, using unencrypted connections`);
+          pool.pg.options.ssl = false;
+        }
+      } finally {
+        await client.end().catch(() => {});
+      }
+    }));
+  }
+
+  static async resolveDns(params) {
+    if (params.resolveDns) {
+      const hosts = [];
+      const ports = [];
+      const maxPools = [];
+      const originalHosts = [];
+      await Promise.all(params.host.map(async (host, index) => {
+        // Unix-domain socket directories are kept as they are
+        const ips = host.startsWith('/') ? [{ address: host }] : await dnsLookupAsync(host, { all: true });
+        for (const ip of ips) {
+          hosts.push(ip.address);
+          ports.push(params.port[index]);
+          maxPools.push(params.maxpool[index]);
+          originalHosts.push(host);
+        }
+      }));
+      params.host = hosts;
+      params.port = ports;
+      params.maxpool = maxPools;
+      params.originalHost = originalHosts;
+    }
+  }
+
+  /**
+   * Close the source the same as shutdownAsync(), following the tilelive conventions
+   * @param {Function} [callback]
+   */
+  close(callback) {
+    callbackify(() => this.shutdownAsync())(callback || (() => {}));
+  }
+
+  /**
+   * Stop accepting new requests, and wait up to shutdownTimeout milliseconds for the pending
+   * queries to finish. The queries still running after that are cancelled on the server.
+   * Then close the connections. Calling it again returns the same promise.
+   * @returns {Promise<void>}
+   */
+  shutdownAsync() {
+    if (!this._shutdown) {
+      this._shutdown = this._shutdownAsync();
+    }
+    return this._shutdown;
+  }
+
+  async _shutdownAsync() {
+    this._closing = true;
+    clearInterval(this._healthTimer);
+    clearInterval(this._replicationTimer);
+    clearTimeout(this._listenTimer);
+    // Other sources may watch the same files
+    for (const [file, listener] of this._watchedFiles || []) {
+      fs.unwatchFile(file, listener);
+    }
+    const { shutdownTimeout } = this._params;
+    if (!await this._waitForIdleAsync(shutdownTimeout)) {
+      this.log.warn({ duration: shutdownTimeout }, `Cancelling the queries still running after ${shutdownTimeout}ms`);
+      this._cancelling = true;
+      await this._cancelQueriesAsync();
+      await this._waitForIdleAsync(cancelTimeout);
+    }
+    const promises = this.pgpools.map((pool) => {
+      pool.pg.removeListener('error', pool.onError);
+      pool.pg.removeListener('remove', pool.onRemove);
+      return endPool(pool);
+    });
+    if (this._listenClient) {
+      promises.push(this._listenClient.end());
+      this._listenClient = undefined;
+    }
+    return Promise.all(promises);
+  }
+
+  /**
+   * Wait until no query of this source is pending on any server
+   * @param {number} timeout milliseconds
+   * @returns {Promise<boolean>} false if the queries were still pending after the timeout
+   */
+  _waitForIdleAsync(timeout) {
+    return new Promise((resolve) => {
+      let timer;
+      const done = (idle) => {
+        clearTimeout(timer);
+        this._onIdle = undefined;
+        resolve(idle);
+      };
+      timer = setTimeout(() => done(false), timeout);
+      this._onIdle = () => done(true);
+      this._checkIdle();
+    });
+  }
+
+  _checkIdle() {
+    if (this._onIdle && this.pgpools.every(pool => pool.pending === 0)) {
+      this._onIdle();
+    }
+  }
+
+  /**
+   * Cancel the running queries of this source, using a separate connection to each server
+   * @returns {Promise<void>}
+   */
+  async _cancelQueriesAsync() {
+    await Promise.all(this.pgpools.map(async (pool) => {
+      const pids = [...pool.active].map(client => client.processID);
+      if (pids.length === 0) {
+        return;
+      }
+      const client = new Client(pool.pg.options);
+      try {
+        await client.connect();
+        await client.query('SELECT pg_cancel_backend(pid) FROM unnest($1::integer[]) AS pid', [pids]);
+        this.log.info({ host: pool.name, pids }, `Cancelled ${pids.length} queries on ${pool.name}`);
+      } catch (err) {
+        this.log.error(Object.assign({ host: pool.name }, errorFields(err)), `Unable to cancel the queries on ${pool.name}: ${err}`);
+      } finally {
+        await client.end().catch(() => {});
+      }
+    }));
+  }
+
+  /**
+   * LISTEN on the listenChannel using a dedicated connection to one of the servers.
+   * The healthy servers that are known to be primaries are tried first, and then the others
+   * in order, because a hot standby cannot LISTEN. If the connection is lost,
+   * keep reconnecting in the background.
+   * @param {boolean} [reconnect] true if the previous connection was lost, in which case
+   *   the notifications sent in the meantime are missing, so all tiles are invalidated
+   * @returns {Promise<void>}
+   */
+  async _listenAsync(reconnect) {
+    const pools = [
+      ...this.pgpools.filter(pl => pl.healthy && pl.inRecovery === false),
+      ...this.pgpools.filter(pl => !(pl.healthy && pl.inRecovery === false)),
+    ];
+    let error;
+    for (const pool of pools) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        await this._listenOnAsync(pool, reconnect);
+        return;
+      } catch (err) {
+        this.log.warn(Object.assign({ host: pool.name }, errorFields(err)), `Unable to LISTEN on ${pool.name}: ${err}`);
+        error = err;
+      }
+    }
+    throw error;
+  }
+
+  async _listenOnAsync(pool, reconnect) {
+    const client = new Client(pool.pg.options);
+    const info = `${pool.name} channel ${this._params.listenChannel}`;
+    client.on('notification', msg => this.invalidate(msg.payload));
+    client.on('error', (err) => {
+      this.log.error(Object.assign({ host: pool.name }, errorFields(err)), `Lost LISTEN connection to ${info}, reconnecting: ${err}`);
+      this._listenClient = undefined;
+      client.end().catch(() => {});
+      this._scheduleListen();
+    });
+    try {
+      await client.connect();
+      await client.query(`LISTEN ${quoteIdent(this._params.listenChannel)}`);
+    } catch (err) {
+      await client.end().catch(() => {});
+      throw err;
+    }
+    if (this._closing) {
+      await client.end();
+    } else {
+      this._listenClient = client;
+      this._listenPool = pool;
+      this.log.info({ host: pool.name }, `Listening for tile invalidation notifications on ${info}`);
+      if (reconnect) {
+        this.invalidate({ all: true });
+      }
+    }
+  }
+
+  _scheduleListen() {
+    if (!this._closing) {
+      this._listenTimer = setTimeout(() => this._listenAsync(true).catch((err) => {
+        this.log.error(errorFields(err), `Unable to LISTEN on channel ${this._params.listenChannel}, retrying: ${err}`);
+        this._scheduleListen();
+      }), this._params.healthCheckInterval || 5000);
+      this._listenTimer.unref();
+    }
+  }
+
+  /**
+   * If watchQueryFile is set, reload the queries when their queryFile is modified
+   */
+  startQueryFileWatch() {
+    if (!this._params.watchQueryFile) {
+      return;
+    }
+    // The listener of each file, to stop watching it on shutdown
+    this._watchedFiles = new Map();
+    const options = { persistent: false, interval: this._params.watchInterval };
+    for (const file of new Set(this.tileQueries.filter(d => d.file).map(d => d.file))) {
+      const listener = (cur, prev) => {
+        if (cur.mtimeMs !== prev.mtimeMs || cur.size !== prev.size) {
+          this.reloadQueryFileAsync(file);
+        }
+      };
+      fs.watchFile(file, options, listener);
+      this._watchedFiles.set(file, listener);
+    }
+  }
+
+  /**
+   * Read the queryFile again, and test the changed query on the testOnStartup tile of its zooms
+   * on every server. If the test passes, the new query replaces the old one for all new requests,
+   * and the cached tiles of its zooms are removed. Otherwise, the old query is kept.
+   * Emits the 'reload' event with {file, minzoom, maxzoom} for each changed query definition,
+   * with the error if the new query was rejected. Reloads run one at a time.
+   * @param {string} file one of the queryFile values
+   * @returns {Promise<Object[]>} the emitted events. Never rejects.
+   */
+  reloadQueryFileAsync(file) {
+    const reload = (this._reloading || Promise.resolve())
+      .then(() => this._reloadQueryFileAsync(file));
+    this._reloading = reload;
+    return reload;
+  }
+
+  async _reloadQueryFileAsync(file) {
+    let query;
+    let readError;
+    try {
+      query = fs.readFileSync(file, { encoding: 'utf8' });
+    } catch (err) {
+      readError = err;
+    }
+    const events = [];
+    // The prepared statements of the replaced or rejected queries are not used any more
+    const retire = (d) => {
+      for (const { name } of [d.getTileQueryObj, d.getTilesQueryObj]) {
+        const clients = [...this.statementClients].filter(c => c.pgqueryStatements.has(name));
+        if (name && clients.length > 0) {
+          this.staleStatements.set(name, new Set(clients));
+        }
+      }
+    };
+    for (const def of this.tileQueries.filter(d => d.file === file)) {
+      if (def.getTileQueryObj.text !== query) {
+        const { minzoom, maxzoom } = def;
+        const event = { file, minzoom, maxzoom };
+        let newDef;
+        try {
+          if (readError) {
+            throw readError;
+          }
+          // Each version of the query uses new prepared statement names, so that every pooled
+          // connection prepares the new statement on its first use
+          this._queryVersion = (this._queryVersion || 0) + 1;
+          newDef = Object.assign({}, def, PgQuery.buildQueryObjs(
+            query,
+            def.prepare && `${this.sourceId}_${minzoom}_${maxzoom}_v${this._queryVersion}`
+          ));
+          const testTile = def.testTile || this.parseTestOnStartup(undefined, minzoom, maxzoom);
+          // eslint-disable-next-line no-await-in-loop
+          await this.testOnStartupAsync(testTile, newDef);
+          this.tileQueries[this.tileQueries.indexOf(def)] = newDef;
+          for (let z = minzoom; z <= maxzoom; z++) {
+            this.queryByZoom[z] = newDef;
+          }
+          retire(def);
+          this.stats.queryReloads++;
+          this.log.info(event, `Reloaded queryFile "${file}" for zooms ${minzoom}-${maxzoom}`);
+          this.invalidate({ bbox: [-180, -90, 180, 90], minzoom, maxzoom });
+        } catch (err) {
+          event.error = err;
+          if (newDef) {
+            retire(newDef);
+          }
+          this.stats.queryReloadErrors++;
+          this.log.error(
+            Object.assign({ file, minzoom, maxzoom }, errorFields(err)),
+            `Unable to reload queryFile "${file}" for zooms ${minzoom}-${maxzoom}, keeping the previous query: ${err}`
+          );
+        }
+        this.emit('reload', event);
+        events.push(event);
+      }
+    }
+    return events;
+  }
+
+  /**
+   * Mark tiles as changed: remove them from the cache, and emit the 'invalidate' event.
+   * The requests made afterwards do not share the tiles that are still being generated,
+   * and these tiles are not cached.
+   * This is called for each notification received on the listenChannel.
+   * @param {string|Object} payload one of:
+   *   '*' - all tiles
+   *   'z/x/y' - a single tile, or a list of them separated by spaces, commas, or semicolons
+   *   a JSON string or an object with either {"all": true}, {"z": z, "x": x, "y": y},
+   *   {"tiles": ["z/x/y" or [z, x, y], ...]}, or {"bbox": [west, south, east, north]}.
+   *   A bbox may also have "minzoom" and "maxzoom" to limit the zooms.
+   * @returns {Object|undefined} the emitted event, or undefined if the payload is invalid
+   */
+  invalidate(payload) {
+    let event;
+    try {
+      event = this.parseInvalidation(payload);
+    } catch (err) {
+      this.log.warn({ payload, err }, `Ignoring invalid tile invalidation "${payload}": ${err.message}`);
+      return undefined;
+    }
+    let matches;
+    if (event.all) {
+      matches = () => true;
+    } else if (event.tiles) {
+      const keys = new Set(event.tiles.map(t => t.join('/')));
+      matches = e => keys.has(`${e.z}/${e.x}/${e.y}`);
+    } else {
+      const ranges = [];
+      matches = (e) => {
+        if (e.z < event.minzoom || e.z > event.maxzoom) {
+          return false;
+        }
+        if (!ranges[e.z]) {
+          ranges[e.z] = bboxToTileRange(this.tileMatrixSet, event.bbox, e.z);
+        }
+        const r = ranges[e.z];
+        return e.x >= r[0] && e.y >= r[1] && e.x <= r[2] && e.y <= r[3];
+      };
+    }
+    this.invalidationEpoch++;
+    for (const [key, entry] of this.inflight) {
+      if (matches(entry)) {
+        this.inflight.delete(key);
+      }
+    }
+    event.cleared = 0;
+    if (this.cache) {
+      if (event.all) {
+        event.cleared = this.cache.size;
+        this.cache.clear();
+      } else {
+        event.cleared = this.cache.deleteIf(matches);
+      }
+    }
+    this.emit('invalidate', event);
+    return event;
+  }
+
+  /**
+   * Parse the tile invalidation payload, see invalidate()
+   * @returns {Object} {all: true}, {tiles: [[z, x, y], ...]}, or {bbox, minzoom, maxzoom}
+   */
+  parseInvalidation(payload) {
+    let value = payload;
+    if (typeof value === 'string') {
+      value = value.trim();
+      if (value === '*') {
+        return { all: true };
+      }
+      if (!value.startsWith('{')) {
+        return { tiles: value.split(/[\s,;]+/).map(v => this.parseTileIndex(v, 'invalidation')) };
+      }
+      value = JSON.parse(value);
+    }
+    if (!value || typeof value !== 'object') {
+      throw new Error('Expected a string or an object');
+    }
+    if (value.all === true) {
+      return { all: true };
+    }
+    if (value.z !== undefined) {
+      return { tiles: [this.parseTileIndex(`${value.z}/${value.x}/${value.y}`, 'invalidation')] };
+    }
+    if (Array.isArray(value.tiles)) {
+      const tiles = value.tiles.map(t => (Array.isArray(t) ? t.join('/') : `${t}`));
+      return { tiles: tiles.map(t => this.parseTileIndex(t, 'invalidation')) };
+    }
+    if (Array.isArray(value.bbox)) {
+      const { bbox } = value;
+      if (bbox.length !== 4 || bbox.some(v => typeof v !== 'number')) {
+        throw new Error('bbox must be an array of 4 numbers');
+      }
+      return {
+        bbox,
+        minzoom: value.minzoom === undefined ? this._params.minzoom : value.minzoom,
+        maxzoom: value.maxzoom === undefined ? this._params.maxzoom : value.maxzoom,
+      };
+    }
+    throw new Error('Unrecognized invalidation payload');
+  }
+
+  /**
+   * Periodically probe the servers that were marked as down, and bring them back once they recover
+   */
+  startHealthChecks() {
+    if (this._params.healthCheckInterval > 0) {
+      this._healthTimer = setInterval(
+        () => this._probeUnhealthyAsync(),
+        this._params.healthCheckInterval
+      );
+      this._healthTimer.unref();
+    }
+  }
+
+  async _probeUnhealthyAsync() {
+    await Promise.all(this.pgpools.map(async (pool) => {
+      if (pool.healthy || pool.probing) {
+        return;
+      }
+      pool.probing = true;
+      pool.lastCheck = new Date();
+      try {
+        await pool.pg.query('SELECT 1');
+        this._markSuccess(pool);
+      } catch (err) {
+        pool.lastError = err.message;
+        pool.lastErrorTime = new Date();
+      } finally {
+        pool.probing = false;
+      }
+    }));
+  }
+
+  /**
+   * Check the replication state of each server once, and then every replicationCheckInterval
+   */
+  async startReplicationChecksAsync() {
+    if (this._params.replicationCheckInterval > 0) {
+      await this._checkReplicationAsync();
+      this._replicationTimer = setInterval(
+        () => this._checkReplicationAsync(),
+        this._params.replicationCheckInterval
+      );
+      this._replicationTimer.unref();
+    }
+  }
+
+  async _checkReplicationAsync() {
+    const maxLag = this._params.maxReplicationLag;
+    await Promise.all(this.pgpools.map(async (pool) => {
+      if (pool.checkingReplication) {
+        return;
+      }
+      pool.checkingReplication = true;
+      try {
+        // The lag is zero if the replica is streaming and has replayed everything it received,
+        // otherwise it is the age of the last replayed transaction, or NULL if nothing was
+        // replayed yet. A replica that lost its WAL receiver receives nothing new, so it is
+        // only up to date if the primary had no transactions since. The receiver status
+        // is only visible with pg_read_all_stats, otherwise its process must be running.
+        const res = await pool.pg.query(`
+SELECT pg_is_in_recovery() AS recovery,
+  CASE WHEN pg_last_wal_receive_lsn() = pg_last_wal_replay_lsn()
+      AND EXISTS (SELECT 1 FROM pg_stat_wal_receiver
+        WHERE COALESCE(status, 'streaming') = 'streaming')
+    THEN 0
+    ELSE (EXTRACT(EPOCH FROM now() - pg_last_xact_replay_timestamp()) * 1000)::bigint
+  END AS lag`);
+        const { recovery, lag } = res.rows[0];
+        pool.inRecovery = recovery;
+        if (!recovery) {
+          pool.replicationLag = 0;
+        } else {
+          pool.replicationLag = lag === null ? null : Math.max(0, parseInt(lag, 10));
+        }
+        pool.replicationCheck = new Date();
+        const lagging = maxLag > 0 && pool.replicationLag > maxLag;
+        if (lagging && !pool.lagging) {
+          this.log.warn({ host: pool.name, replicationLag: pool.replicationLag }, `PostgreSQL replica ${pool.name} is removed from rotation because it is ${pool.replicationLag}ms behind, more than maxReplicationLag=${maxLag}ms`);
+        } else if (!lagging && pool.lagging) {
+          this.log.info({ host: pool.name, replicationLag: pool.replicationLag }, `PostgreSQL replica ${pool.name} is back in rotation with ${pool.replicationLag}ms replication lag`);
+        }
+        pool.lagging = lagging;
+      } catch (err) {
+        // Connection problems are handled by the health checks, keep the last known state
+      } finally {
+        pool.checkingReplication = false;
+      }
+    }));
+  }
+
+  _markFailure(pool, err) {
+    pool.failures++;
+    pool.lastError = err.message;
+    pool.lastErrorTime = new Date();
+    if (pool.healthy && pool.failures >= this._params.maxFailures) {
+      pool.healthy = false;
+      pool.downSince = pool.lastErrorTime;
+      this.log.error(
+        Object.assign({ host: pool.name, failures: pool.failures }, errorFields(err)),
+        `PostgreSQL server ${pool.name} is marked as down after ${pool.failures} connection error(s): ${err}`
+      );
+    }
+  }
+
+  _markSuccess(pool) {
+    pool.failures = 0;
+    if (!pool.healthy) {
+      this.log.info({ host: pool.name, downSince: pool.downSince }, `PostgreSQL server ${pool.name} is back up after being down since ${pool.downSince.toISOString()}`);
+      pool.healthy = true;
+      pool.downSince = undefined;
+    }
+  }
+
+  /**
+   * Get the current health state of each PostgreSQL server
+   * @returns {Object[]} one object per server, in the same order as the host parameters
+   */
+  getHealth() {
+    return this.pgpools.map(pool => ({
+      host: pool.pg.options.host,
+      port: pool.pg.options.port,
+      database: pool.pg.options.database,
+      healthy: pool.healthy,
+      failures: pool.failures,
+      pending: pool.pending,
+      downSince: pool.downSince,
+      lastCheck: pool.lastCheck,
+      lastError: pool.lastError,
+      lastErrorTime: pool.lastErrorTime,
+      inRecovery: pool.inRecovery,
+      replicationLag: pool.replicationLag,
+      replicationCheck: pool.replicationCheck,
+      lagging: !!pool.lagging,
+    }));
+  }
+
+  /**
+   * Get a single tile. Follows tilelive interface, optionally accepting request-time parameters.
+   * @param {number} z
+   * @param {number} x
+   * @param {number} y
+   * @param {Object|string} [options] values of the parameters declared with tileParam,
+   *   either as an object, or as a query string, e.g. "lang=en&theme=dark"
+   * @param {Function} callback
+   */
+  getTile(z, x, y, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = undefined;
+    }
+    const start = process.hrtime();
+    const fields = err => Object.assign({
+      z, x, y, duration: elapsedMs(start),
+    }, errorFields(err));
+    try {
+      this._getSharedTileAsync(z, x, y, this.parseTileParams(options)).then(
+        v => callback(null, v, this.headers),
+        (err) => {
+          callback(err);
+          if (err.message !== tileDoesNotExist) {
+            this.log.error(fields(err), `Error getting ${z}/${x}/${y}: ${err}`);
+          }
+        }
+      ).catch((err) => {
+        callback(err);
+        this.log.error(fields(err), `Nested crash ${z}/${x}/${y}: ${err}`);
+      }).catch((err) => {
+        this.log.error(fields(err), `Possible callback crash for ${z}/${x}/${y}: ${err}`);
+      });
+    } catch (err) {
+      callback(err);
+      if (err.message !== tileDoesNotExist) {
+        this.log.error(fields(err), `Top level catch for ${z}/${x}/${y}: ${err}`);
+      }
+    }
+  }
+
+  validateXY(z, x, y) {
+    if (z < 0 || z >= this.matrixSizes.length) {
+      return false;
+    }
+    const [width, height] = this.matrixSizes[z];
+    return !(x < 0 || x >= width || y < 0 || y >= height);
+  }
+
+  /**
+   * Get statistics about this source
+   * @returns {Object} with these values:
+   *   coalesced - number of requests that were served by sharing an identical in-flight request
+   *   cacheHits - number of requests served from the cache without any queries
+   *   cacheRevalidated - number of expired cache entries reused because keyQuery returned
+   *     the same key
+   *   cacheMisses - number of requests that were not in the cache, or whose cached tile changed
+   *   cacheEntries, cacheBytes - the current number and total size of the cached tiles
+   *   hosts - one object per server, in the same order as the host parameters, with its name,
+   *     healthy and lagging states, replicationLag and avgLatency (moving average of the query
+   *     time) in milliseconds, pool utilization
+   *     {total, idle, waiting, pending}, requests count by zoom and outcome (ok, empty, error,
+   *     timeout), and the latency, tileSize, and compressTime histograms (times are in
+   *     milliseconds)
+   */
+  getStats() {
+    return Object.assign({}, this.stats, {
+      cacheEntries: this.cache ? this.cache.size : 0,
+      cacheBytes: this.cache ? this.cache.bytes : 0,
+      hosts: this.pgpools.map(pool => Object.assign({
+        name: pool.name,
+        healthy: pool.healthy,
+        lagging: !!pool.lagging,
+        replicationLag: pool.replicationLag,
+        avgLatency: pool.avgLatency,
+        pool: {
+          total: pool.pg.totalCount,
+          idle: pool.pg.idleCount,
+          waiting: pool.pg.waitingCount,
+          pending: pool.pending,
+        },
+      }, pool.metrics.toJSON())),
+    });
+  }
+
+  /**
+   * Get the statistics in the Prometheus text exposition format. If the name parameter is set,
+   * it is added to every metric as the "source" label.
+   * @returns {string}
+   */
+  getPrometheusMetrics() {
+    const { name } = this._params;
+    return formatPrometheus(this.getStats(), name ? { source: name } : {});
+  }
+
+  // Identifies identical requests, i.e. same z/x/y and same tile params
+  _getRequestKey(z, x, y, tileParams) {
+    return `${z}/${x}/${y}${this.tileParams.length > 0 ? JSON.stringify(tileParams) : ''}`;
+  }
+
+  /**
+   * Get a tile, or if an identical request is already in progress, share its result or error
+   * instead of running the query and compression again.
+   */
+  _getSharedTileAsync(z, x, y, tileParams) {
+    const key = this._getRequestKey(z, x, y, tileParams);
+    let entry = this.inflight.get(key);
+    if (entry) {
+      this.stats.coalesced++;
+      return entry.promise;
+    }
+    entry = {
+      promise: this._getTileAsync(z, x, y, tileParams), z, x, y,
+    };
+    this.inflight.set(key, entry);
+    // An invalidation may have replaced the entry with a newer request
+    const cleanup = () => {
+      if (this.inflight.get(key) === entry) {
+        this.inflight.delete(key);
+      }
+    };
+    entry.promise.then(cleanup, cleanup);
+    return entry.promise;
+  }
+
+  /**
+   * Select the server for the next request using the balancing strategy.
+   * Servers marked as down or lagging are skipped, unless all of them are.
+   */
+  _selectPool(exclude) {
+    let candidates = this.pgpools;
+    if (exclude && exclude.size > 0) {
+      // When retrying, prefer the healthy servers that have not failed yet
+      const others = candidates.filter(pl => pl.healthy && !exclude.has(pl));
+      if (others.length > 0) {
+        candidates = others;
+      }
+    }
+    let pools = candidates.filter(pl => pl.healthy && !pl.lagging);
+    if (pools.length === 0) {
+      // Replicas that are too far behind are only used if all other servers are down
+      pools = candidates.filter(pl => pl.healthy);
+      if (pools.length === 0) {
+        pools = candidates;
+      }
+    }
+    return balancers[this._params.balancing](pools);
+  }
+
+  /**
+   * Run a query on the selected server. Transient errors are retried with an exponential backoff,
+   * preferably on another server, up to the retries and retryTimeout limits.
+   * @param {string} description what is being queried, for the log messages
+   * @param {Object} fields structured log fields of what is being queried
+   * @param {Function} queryFn async function(pool) that runs the query
+   * @param {Function} onError function(pool, err, latency) called for each failed attempt
+   * @returns {Promise<Object>} {pool, result, latency} of the successful attempt
+   */
+  async _queryWithRetriesAsync(description, fields, queryFn, onError) {
+    const { retries, retryDelay, retryTimeout } = this._params;
+    const deadline = Date.now() + retryTimeout;
+    const failed = new Set();
+    /* eslint-disable no-await-in-loop */
+    for (let attempt = 0; ; attempt++) {
+      const pool = this._selectPool(failed);
+      const start = process.hrtime();
+      try {
+        const result = await queryFn(pool);
+        return { pool, result, latency: elapsedMs(start) };
+      } catch (err) {
+        const latency = elapsedMs(start);
+        onError(pool, err, latency);
+        const delay = retryDelay * (2 ** attempt);
+        if (attempt >= retries || !isTransientError(err) || this._closing
+          || (retryTimeout > 0 && Date.now() + delay > deadline)) {
+          throw err;
+        }
+        failed.add(pool);
+        this.log.warn(
+          Object.assign(
+            { host: pool.name, duration: latency, retry: attempt + 1 },
+            fields,
+            errorFields(err)
+          ),
+          `Retrying ${description} in ${delay}ms (retry ${attempt + 1} of ${retries}) after an error from ${pool.name}: ${err}`
+        );
+        await sleepAsync(delay);
+      }
+    }
+    /* eslint-enable no-await-in-loop */
+  }
+
+  async _getTileAsync(z, x, y, tileParams) {
+    if (this._closing) {
+      throw shuttingDownError();
+    }
+    const value = this.cache
+      ? await this._getCachedTileAsync(z, x, y, tileParams)
+      : await this._generateTileAsync(z, x, y, tileParams);
+    if (!value) {
+      throw this.noTileError;
+    }
+    return value;
+  }
+
+  /**
+   * Get a tile from the cache. If the cached tile has expired, but keyQuery still returns the same
+   * key, reuse the cached tile without generating it again. Empty tiles are cached too.
+   * @returns {Promise<Buffer|null>} tile data, or null if the tile is empty
+   */
+  async _getCachedTileAsync(z, x, y, tileParams) {
+    const key = this._getRequestKey(z, x, y, tileParams);
+    const ttl = this.cacheTtls[z];
+    const entry = this.cache.get(key);
+    if (entry) {
+      if (entry.expires > Date.now()) {
+        this.stats.cacheHits++;
+        return entry.value;
+      }
+      if (this.keyQueryDef && entry.value && entry.value.key) {
+        let hash;
+        try {
+          const pool = this._selectPool();
+          const res = await this._getRawTileAsync(z, x, y, pool, tileParams, this.keyQueryDef);
+          hash = res.length > 0 ? res[0][0] : undefined;
+        } catch (err) {
+          this.log.warn(Object.assign({ z, x, y }, errorFields(err)), `Unable to get the key of ${z}/${x}/${y}, regenerating the tile: ${err}`);
+        }
+        if (hash === entry.value.key) {
+          this.stats.cacheRevalidated++;
+          entry.expires = ttl > 0 ? Date.now() + ttl : Infinity;
+          return entry.value;
+        }
+      }
+    }
+    this.stats.cacheMisses++;
+    const epoch = this.invalidationEpoch;
+    const value = (await this._generateTileAsync(z, x, y, tileParams)) || null;
+    // The tile may have changed while it was being generated
+    if (epoch === this.invalidationEpoch) {
+      this.cache.set(key, {
+        value, z, x, y, expires: ttl > 0 ? Date.now() + ttl : Infinity,
+      });
+    }
+    return value;
+  }
+
+  /**
+   * Run the tile query, and compress the result if needed. Records the host metrics.
+   * @returns {Promise<Buffer|undefined>} tile data, or undefined if the tile is empty
+   */
+  async _generateTileAsync(z, x, y, tileParams) {
+    // Invalid requests are rejected before they could be counted as host errors
+    this._checkTile(z, x, y);
+    // The result is decoded with the definition it was generated with, even if reloaded meanwhile
+    const def = this.queryByZoom[z];
+    let query;
+    try {
+      query = await this._queryWithRetriesAsync(
+        `${z}/${x}/${y}`,
+        { z, x, y },
+        pool => this._getRawTileAsync(z, x, y, pool, tileParams, def),
+        (pool, err, latency) => {
+          pool.metrics.addRequest(z, err.code === queryTimeoutCode ? 'timeout' : 'error', latency);
+        }
+      );
+    } catch (err) {
+      if (this.errorsAsEmpty) {
+        this.log.warn(Object.assign({ z, x, y }, errorFields(err)), `Ignoring error ${z}/${x}/${y}: ${err}`);
+        throw this.noTileError;
+      }
+      throw err;
+    }
+    return PgQuery._rowsToTileAsync(z, def, query.result, query.pool, query.latency);
+  }
+
+  /**
+   * Convert the result rows of a single tile into the tile data, compressing it if needed.
+   * Records the host metrics.
+   * @param {number} z
+   * @param {Object} def query definition that generated the rows
+   * @returns {Promise<Buffer|undefined>} tile data, or undefined if the tile is empty
+   */
+  static async _rowsToTileAsync(z, def, res, pool, latency) {
+    const { useKeyColumn, compression } = def;
+
+    if (res.length > 0) {
+      if (res.length > 1) {
+        pool.metrics.addRequest(z, 'error', latency);
+        throw new Error(`Expected just one row, but got ${res.length}`);
+      }
+      const row = res[0];
+      if (row.length !== (useKeyColumn ? 2 : 1)) {
+        pool.metrics.addRequest(z, 'error', latency);
+        throw new Error(`Expected ${useKeyColumn ? '2 columns' : '1 column'}, but got ${row.length}.`);
+      }
+      let value = row[0];
+      if (value && value.length !== 0) {
+        let compressTime;
+        if (compression) {
+          const compressStart = process.hrtime();
+          value = await compressions[compression].compress(value);
+          compressTime = elapsedMs(compressStart);
+        }
+        if (useKeyColumn) {
+          // some tilelive plugins like mbtiles understand key property, avoids recalculation
+          // eslint-disable-next-line prefer-destructuring
+          value.key = row[1];
+        }
+        pool.metrics.addRequest(z, 'ok', latency, value.length, compressTime);
+        return value;
+      }
+    }
+
+    pool.metrics.addRequest(z, 'empty', latency);
+    return undefined;
+  }
+
+  /**
+   * Get many tiles, running a single query for each batch of up to batchSize tiles of the same
+   * zoom. The tiles are not cached, and the identical requests are not shared.
+   * @param {Iterable|AsyncIterable} list tiles as [z, x, y] arrays or {z, x, y} objects
+   * @param {Object} [options]
+   * @param {number} [options.batchSize] maximum number of tiles in one query,
+   *   the batchSize param by default
+   * @param {number} [options.concurrency] maximum number of batch queries running at the same
+   *   time, the batchConcurrency param by default
+   * @param {Object|string} [options.tileParams] values of the parameters declared with
+   *   tileParam, used for all tiles
+   * @returns {AsyncIterable<Object>} {z, x, y, data, headers} for each tile as soon as its batch
+   *   is done, or {z, x, y, error} if the tile is empty (noTileError) or could not be generated
+   */
+  iterateTiles(list, options = {}) {
+    const batchSize = options.batchSize || this._params.batchSize;
+    const concurrency = options.concurrency || this._params.batchConcurrency;
+    const tileParams = this.parseTileParams(options.tileParams);
+    const source = list[Symbol.asyncIterator]
+      ? list[Symbol.asyncIterator]()
+      : list[Symbol.iterator]();
+    let sourceDone = false;
+    // Tiles waiting for their batch to fill up, by zoom
+    const pending = new Map();
+    // Batches waiting for a free slot
+    const queued = [];
+    const running = new Set();
+    // Results waiting to be consumed
+    const ready = [];
+
+    const addTile = (tile) => {
+      const [z, x, y] = Array.isArray(tile) ? tile : [tile.z, tile.x, tile.y];
+      try {
+        this._checkTile(z, x, y);
+      } catch (error) {
+        ready.push({
+          z, x, y, error,
+        });
+        return;
+      }
+      let tiles = pending.get(z);
+      if (!tiles) {
+        tiles = [];
+        pending.set(z, tiles);
+      }
+      tiles.push([z, x, y]);
+      if (tiles.length >= batchSize) {
+        pending.delete(z);
+        queued.push(tiles);
+      }
+    };
+
+    /* eslint-disable no-await-in-loop */
+    const next = async () => {
+      for (;;) {
+        if (ready.length > 0) {
+          return { value: ready.shift(), done: false };
+        }
+        while (queued.length > 0 && running.size < concurrency) {
+          const promise = this._getTileBatchAsync(queued.shift(), tileParams).then((results) => {
+            running.delete(promise);
+            return results;
+          });
+          running.add(promise);
+        }
+        if (!sourceDone && queued.length === 0) {
+          const item = await source.next();
+          if (item.done) {
+            sourceDone = true;
+            queued.push(...pending.values());
+            pending.clear();
+          } else {
+            addTile(item.value);
+          }
+        } else if (running.size > 0) {
+          ready.push(...await Promise.race(running));
+        } else {
+          return { value: undefined, done: true };
+        }
+      }
+    };
+    /* eslint-enable no-await-in-loop */
+
+    return {
+      next,
+      [Symbol.asyncIterator]() {
+        return this;
+      },
+    };
+  }
+
+  /**
+   * Get many tiles, see iterateTiles(). Follows the tilelive callback style.
+   * @param {Iterable|AsyncIterable} list tiles as [z, x, y] arrays or {z, x, y} objects
+   * @param {Object} [options] same as in iterateTiles()
+   * @param {Function} callback gets an array of {z, x, y, data, headers} or {z, x, y, error}
+   *   objects, in the order the tiles were generated
+   */
+  getTiles(list, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = undefined;
+    }
+    callbackify(() => this._getTilesAsync(list, options))(callback);
+  }
+
+  async _getTilesAsync(list, options) {
+    const iterator = this.iterateTiles(list, options);
+    const results = [];
+    let item = await iterator.next();
+    while (!item.done) {
+      results.push(item.value);
+      // eslint-disable-next-line no-await-in-loop
+      item = await iterator.next();
+    }
+    return results;
+  }
+
+  /**
+   * Create a readable object stream of all non-empty tiles within the bounds, e.g. for
+   * tilelive.copy. The tiles are generated in batches, the same as with iterateTiles(),
+   * but are always streamed in the requested order. Emits a "length" event with the number
+   * of the enumerated tiles, including the empty ones.
+   * @param {Object} [options]
+   * @param {string} [options.type] scanline (default) - zoom by zoom, row by row,
+   *   or pyramid - each tile is followed by all of its descendants
+   * @param {number[]} [options.bounds] [west, south, east, north], the TileJSON bounds by default
+   * @param {number} [options.minzoom] limits the source minzoom
+   * @param {number} [options.maxzoom] limits the source maxzoom
+   * @param {number} [options.batchSize] same as in iterateTiles()
+   * @param {number} [options.concurrency] same as in iterateTiles()
+   * @param {Object|string} [options.tileParams] same as in iterateTiles()
+   * @returns {Readable} stream of {z, x, y, buffer, headers} objects
+   */
+  createReadStream(options = {}) {
+    const order = options.type || 'scanline';
+    if (order !== 'scanline' && order !== 'pyramid') {
+      throw new Error(`Unknown stream type "${order}", must be scanline or pyramid`);
+    }
+    const minzoom = Math.max(this._params.minzoom, options.minzoom || 0);
+    const maxzoom = Math.min(
+      this._params.maxzoom,
+      options.maxzoom === undefined ? Infinity : options.maxzoom
+    );
+    const bounds = options.bounds || this.getInfoObj().bounds;
+    const ranges = [];
+    let length = 0;
+    for (let z = minzoom; z <= maxzoom; z++) {
+      ranges[z] = bboxToTileRange(this.tileMatrixSet, bounds, z);
+      const [minX, minY, maxX, maxY] = ranges[z];
+      length += ((maxX - minX) + 1) * ((maxY - minY) + 1);
+    }
+    const tiles = minzoom <= maxzoom
+      ? enumerateTiles(ranges, minzoom, maxzoom, order, this.matrixSizes)
+      : [].values();
+    const chunkSize = (options.batchSize || this._params.batchSize)
+      * (options.concurrency || this._params.batchConcurrency);
+
+    // Generate the next chunk of tiles, and push the non-empty ones in order
+    const pushChunkAsync = async (stream) => {
+      const chunk = [];
+      let item = tiles.next();
+      while (!item.done) {
+        if (this.validateXY(...item.value)) {
+          chunk.push(item.value);
+        }
+        if (chunk.length >= chunkSize) {
+          break;
+        }
+        item = tiles.next();
+      }
+      if (chunk.length === 0) {
+        stream.push(null);
+        return true;
+      }
+      const results = new Map();
+      for (const result of await this._getTilesAsync(chunk, options)) {
+        results.set(`${result.z}/${result.x}/${result.y}`, result);
+      }
+      for (const [z, x, y] of chunk) {
+        const { data, headers, error } = results.get(`${z}/${x}/${y}`);
+        if (error) {
+          if (error.message !== tileDoesNotExist) {
+            throw error;
+          }
+        } else if (!stream.destroyed) {
+          stream.push({
+            z, x, y, buffer: data, headers,
+          });
+        }
+      }
+      return false;
+    };
+
+    let wanted = false;
+    let reading = false;
+    let ended = false;
+    const stream = new Readable({
+      objectMode: true,
+      read() {
+        wanted = true;
+        if (!reading) {
+          reading = true;
+          (async () => {
+            try {
+              while (wanted && !ended && !stream.destroyed) {
+                const pending = stream.readableLength;
+                wanted = false;
+                // eslint-disable-next-line no-await-in-loop
+                ended = await pushChunkAsync(stream);
+                // Keep going if all tiles of the chunk were empty
+                wanted = wanted || stream.readableLength === pending;
+              }
+            } catch (err) {
+              stream.destroy(err);
+            }
+            reading = false;
+          })();
+        }
+      },
+    });
+    process.nextTick(() => stream.emit('length', length));
+    return stream;
+  }
+
+  /**
+   * Run the batch query for the tiles of the same zoom, and convert each tile
+   * the same way as _generateTileAsync. Never rejects, the errors are returned for each tile.
+   * @param {number[][]} tiles list of [z, x, y]
+   * @returns {Promise<Object[]>} {z, x, y, data, headers} or {z, x, y, error} for each tile
+   */
+  async _getTileBatchAsync(tiles, tileParams) {
+    const z = tiles[0][0];
+    // The same tile could be requested more than once
+    const unique = new Map(tiles.map(t => [`${t[1]}/${t[2]}`, t]));
+    const def = this.queryByZoom[z];
+    let query;
+    try {
+      query = await this._queryWithRetriesAsync(
+        `${unique.size} tiles at zoom ${z}`,
+        { z, tiles: unique.size },
+        pool => this._getRawTileBatchAsync([...unique.values()], pool, tileParams, def),
+        (pool, err, latency) => {
+          const outcome = err.code === queryTimeoutCode ? 'timeout' : 'error';
+          unique.forEach(() => pool.metrics.addRequest(z, outcome, latency / unique.size));
+        }
+      );
+    } catch (err) {
+      if (this.errorsAsEmpty) {
+        this.log.warn(Object.assign({ z, tiles: tiles.length }, errorFields(err)), `Ignoring error of ${tiles.length} tiles at zoom ${z}: ${err}`);
+      } else {
+        this.log.error(Object.assign({ z, tiles: tiles.length }, errorFields(err)), `Error getting ${tiles.length} tiles at zoom ${z}: ${err}`);
+      }
+      const error = this.errorsAsEmpty ? this.noTileError : err;
+      return tiles.map(([, x, y]) => ({
+        z, x, y, error,
+      }));
+    }
+    const { pool, result: rows } = query;
+    const latency = query.latency / unique.size;
+    const rowsByTile = new Map();
+    for (const key of unique.keys()) {
+      rowsByTile.set(key, []);
+    }
+    for (const row of rows) {
+      const tileRows = rowsByTile.get(`${row[1]}/${row[2]}`);
+      if (tileRows) {
+        tileRows.push(row.slice(3));
+      }
+    }
+    const values = new Map();
+    await Promise.all([...rowsByTile].map(async ([key, tileRows]) => {
+      try {
+        values.set(key, { data: await PgQuery._rowsToTileAsync(z, def, tileRows, pool, latency) });
+      } catch (err) {
+        const [, x, y] = unique.get(key);
+        this.log.error(Object.assign({
+          z, x, y, host: pool.name,
+        }, errorFields(err)), `Error getting ${z}/${key}: ${err}`);
+        values.set(key, { error: err });
+      }
+    }));
+    return tiles.map(([, x, y]) => {
+      const { data, error } = values.get(`${x}/${y}`);
+      if (error || !data) {
+        return {
+          z, x, y, error: error || this.noTileError,
+        };
       }
       return {
-        pg: pool,
-        pending: 0,
-        multiplier: largestMaxpool / v.max,
+        z, x, y, data, headers: this.headers,
       };
     });
   }
 
-  static async resolveDns(params) {
-    if (params.resolveDns) {
-      const hosts = [];
-      const ports = [];
-      const maxPools = [];
-      await Promise.all(params.host.map(async (host, index) => {
-        const ips = await dnsLookupAsync(host, { all: true });
-        for (const ip of ips) {
-          hosts.push(ip.address);
-          ports.push(params.port[index]);
-          maxPools.push(params.maxpool[index]);
-        }
-      }));
-      params.host = hosts;
-      params.port = ports;
-      params.maxpool = maxPools;
+  // Throws if the tile is outside of the zoom range or of the tile grid
+  _checkTile(z, x, y) {
+    if (this._closing) {
+      throw shuttingDownError();
+    }
+    if (z < this._params.minzoom || z > this._params.maxzoom) {
+      throw new Error(tileDoesNotExist);
+    }
+    if (!this.validateXY(z, x, y)) {
+      throw new Error(`Invalid (x,y) coordinates (${x}, ${y}) for zoom=${z}`);
+    }
+    if (this.tileBounds && !this.tileBounds.contains(z, x, y)) {
+      throw new Error(tileDoesNotExist);
     }
   }
 
-  shutdownAsync() {
-    return Promise.all(this.pgpools.map(v => v.pg.end()));
+  // Values of the tile query parameters that follow z, x, and y
+  _getTileParamArgs(type, tileParams) {
+    if (this.tileParams.length === 0) {
+      return [];
+    }
+    const values = tileParams || this.parseTileParams();
+    if (type === 'funcZXY') {
+      // Functions get each parameter as a named argument, and NULL if the value is not set
+      return this.tileParams.map(p => (p.name in values ? values[p.name] : null));
+    }
+    return [JSON.stringify(values)];
+  }
+
+  /**
+   * Run the tile query for the given zoom, or the query of the given definition
+   * @returns {Promise<Array[]>} result rows in the array mode
+   */
+  async _getRawTileAsync(z, x, y, pool, tileParams, def = this.queryByZoom[z]) {
+    this._checkTile(z, x, y);
+
+    const { getTileQueryObj, type } = def;
+    const query = getTileQueryObj.name
+      ? Object.assign({}, getTileQueryObj)
+      : { text: `/* ${+z}/${+x}/${+y} */ ${getTileQueryObj.text}`, rowMode: 'array' };
+    const args = [z, x, y, ...this._getTileParamArgs(type, tileParams)];
+    return this._queryAsync(pool, query, args, this.queryTimeouts[z], `${z}/${x}/${y}`);
+  }
+
+  /**
+   * Run the batch query for the tiles of the same zoom. The query timeout is multiplied
+   * by the number of tiles.
+   * @param {number[][]} tiles list of [z, x, y]
+   * @param {Object} [def] query definition, the one of the tiles' zoom by default
+   * @returns {Promise<Array[]>} result rows in the array mode, prefixed with z, x, and y
+   */
+  async _getRawTileBatchAsync(tiles, pool, tileParams, def = this.queryByZoom[tiles[0][0]]) {
+    const z = tiles[0][0];
+    const { getTilesQueryObj, type } = def;
+    const query = getTilesQueryObj.name
+      ? Object.assign({}, getTilesQueryObj)
+      : { text: `/* ${tiles.length} tiles at zoom ${+z} */ ${getTilesQueryObj.text}`, rowMode: 'array' };
+    const args = [
+      tiles.map(t => t[0]), tiles.map(t => t[1]), tiles.map(t => t[2]),
+      ...this._getTileParamArgs(type, tileParams),
+    ];
+    const timeout = this.queryTimeouts[z] * tiles.length;
+    return this._queryAsync(pool, query, args, timeout, `${tiles.length} tiles at zoom ${z}`);
   }
 
-  getTile(z, x, y, callback) {
+  /**
+   * Run a query using a client of the pool, tracking the health and the latency of the server
+   * @param {string} description what is being queried, for the timeout error message
+   * @returns {Promise<Array[]>} result rows
+   */
+  async _queryAsync(pool, query, args, timeout, description) {
+    let client;
+    let releaseErr;
+    let start;
     try {
-      this._getTileAsync(z, x, y).then(
-        v => callback(null, v, this.headers),
-        (err) => {
-          callback(err);
-          if (err.message !== tileDoesNotExist) {
-            console.error(`Error getting ${z}/${x}/${y}: ${err}`);
-          }
+      pool.pending++;
+      client = await pool.pg.connect();
+      if (this._cancelling) {
+        throw shuttingDownError();
+      }
+      pool.active.add(client);
+      if (this.staleStatements.size > 0) {
+        await this._deallocateStaleAsync(client);
+      }
+      if ((client.pgqueryTimeout || 0) !== timeout) {
+        // The server cancels the query by itself once the timeout expires,
+        // keeping the connection usable. The value stays in effect for this connection.
+        // Zooms without a timeout get back the value that was set by the role, the database,
+        // or the connectionInitQuery.
+        if (client.pgqueryDefaultTimeout === undefined) {
+          const res = await client.query('SHOW statement_timeout');
+          client.pgqueryDefaultTimeout = res.rows[0].statement_timeout;
         }
-      ).catch((err) => {
-        callback(err);
-        console.error(`Nested crash ${z}/${x}/${y}: ${err}`);
-      }).catch((err) => {
-        console.error(`Possible callback crash for ${z}/${x}/${y}: ${err}`);
-      });
+        const value = timeout > 0 ? `${timeout}` : client.pgqueryDefaultTimeout;
+        await client.query('SELECT set_config(\'statement_timeout\', $1, false)', [value]);
+        client.pgqueryTimeout = timeout;
+      }
+      start = process.hrtime();
+      const res = await client.query(query, args);
+      if (query.name) {
+        this._trackStatement(client, query.name);
+      }
+      this._markSuccess(pool);
+      updateLatency(pool, elapsedMs(start));
+      return res.rows;
     } catch (err) {
-      callback(err);
-      if (err.message !== tileDoesNotExist) {
-        console.error(`Top level catch for ${z}/${x}/${y}: ${err}`);
+      let error = err;
+      if (isConnectionError(err)) {
+        // Do not return a broken connection back to the pool
+        releaseErr = err;
+        this._markFailure(pool, err);
+      } else if (err.code === '57014' && timeout > 0 && /statement timeout/.test(err.message)) {
+        error = new Error(`Query for ${description} timed out after ${timeout}ms`);
+        error.code = queryTimeoutCode;
+        error.sqlstate = err.code;
+        // Timeouts mean the server is slow, so they count towards its latency
+        updateLatency(pool, elapsedMs(start));
+      }
+      // The server that failed, for the log messages
+      error.host = pool.name;
+      throw error;
+    } finally {
+      if (client) {
+        pool.active.delete(client);
+        client.release(releaseErr);
       }
+      pool.pending--;
+      this._checkIdle();
     }
   }
 
-  validateXY(z, x, y) {
-    if (z < 0 || z >= this.maxCoords.length) {
-      return false;
+  // Remember that the statement is prepared on this connection
+  _trackStatement(client, name) {
+    if (!client.pgqueryStatements) {
+      client.pgqueryStatements = new Set();
+    }
+    client.pgqueryStatements.add(name);
+    this.statementClients.add(client);
+    // A pending request may still run a replaced query
+    const stale = this.staleStatements.get(name);
+    if (stale) {
+      stale.add(client);
     }
-    const maxCoord = this.maxCoords[z];
-    return !(x < 0 || x >= maxCoord || y < 0 || y >= maxCoord);
   }
 
-  async _getTileAsync(z, x, y) {
-    // Find Postgres with the lowest number of pending requests (adjust by the pool's multiplier)
-    let pool;
-    for (let i = 0; i < this.pgpools.length; i++) {
-      const pl = this.pgpools[i];
-      if (!pool || pl.multiplier * pl.pending < pool.multiplier * pool.pending) {
-        pool = pl;
+  // The statement is no longer prepared on this connection
+  _forgetStatement(client, name) {
+    client.pgqueryStatements.delete(name);
+    const stale = this.staleStatements.get(name);
+    if (stale) {
+      stale.delete(client);
+      if (stale.size === 0) {
+        this.staleStatements.delete(name);
       }
     }
+  }
 
-    const res = await this._getRawTileAsync(z, x, y, pool);
-
-    if (res.length > 0) {
-      if (res.length > 1) {
-        throw new Error(`Expected just one row, but got ${res.length}`);
-      }
-      const row = res[0];
-      if (row.length !== (this.useKeyColumn ? 2 : 1)) {
-        throw new Error(`Expected ${this.useKeyColumn ? '2 columns' : '1 column'}, but got ${row.length}.`);
-      }
-      let value = row[0];
-      if (value && value.length !== 0) {
-        if (this.gzip) {
-          value = gzipAsync(value);
-          if (this.useKeyColumn) {
-            // need to await gzip so that the key property is attached to the right object
-            value = await value;
-          }
-        }
-        if (this.useKeyColumn) {
-          // some tilelive plugins like mbtiles understand key property, avoids recalculation
-          // eslint-disable-next-line prefer-destructuring
-          value.key = row[1];
+  // The connection was closed, together with its prepared statements
+  _forgetClient(client) {
+    if (this.statementClients.delete(client)) {
+      for (const [name, clients] of this.staleStatements) {
+        clients.delete(client);
+        if (clients.size === 0) {
+          this.staleStatements.delete(name);
         }
-        return value;
       }
     }
+  }
 
-    throw this.noTileError;
+  /**
+   * Deallocate the stale prepared statements that were prepared on this connection.
+   * The names are never reused, so the statements are not prepared again under the same name.
+   * @param {Client} client
+   * @returns {Promise<void>}
+   */
+  async _deallocateStaleAsync(client) {
+    const names = [...this.staleStatements]
+      .filter(([, clients]) => clients.has(client))
+      .map(([name]) => name);
+    if (names.length > 0) {
+      await client.query(names.map(name => `DEALLOCATE ${quoteIdent(name)}`).join('; '));
+      for (const name of names) {
+        this._forgetStatement(client, name);
+      }
+    }
   }
 
-  async _getRawTileAsync(z, x, y, pool) {
-    if (z < this._params.minzoom || z > this._params.maxzoom) {
-      throw new Error(tileDoesNotExist);
+  /**
+   * Parse TileJSON fields given as parameters
+   * @param params all parameters
+   * @returns {Object} TileJSON fields that were set
+   */
+  static parseTilejsonParams(params) {
+    const result = {};
+    for (const field of Object.keys(tilejsonFields)) {
+      const type = tilejsonFields[field];
+      if (typeof type === 'number') {
+        if (params[field] !== undefined) {
+          const values = params[field].toString().split(',').map(v => checkType.strToFloat(v.trim()));
+          if (values.length !== type || values.some(v => typeof v !== 'number')) {
+            throw new Error(`Parameter ${field} must be ${type} comma-separated numbers`);
+          }
+          result[field] = values;
+        }
+      } else if (checkType(params, field, type)) {
+        result[field] = params[field];
+      }
     }
-    if (!this.validateXY(z, x, y)) {
-      throw new Error(`Invalid (x,y) coordinates (${x}, ${y}) for zoom=${z}`);
+    if (result.center && !Number.isInteger(result.center[2])) {
+      throw new Error('The last value of the center parameter must be an integer zoom');
     }
+    return result;
+  }
 
-    try {
-      pool.pending++;
-      const query = this.getTileQueryObj.name
-        ? Object.assign({}, this.getTileQueryObj)
-        : { text: `/* ${+z}/${+x}/${+y} */ ${this.getTileQueryObj.text}`, rowMode: 'array' };
-      const res = await pool.pg.query(query, [z, x, y]);
-      return res.rows;
-    } catch (err) {
-      if (this.errorsAsEmpty) {
-        console.error(`Ignoring error ${z}/${x}/${y}: ${err}`);
-        throw this.noTileError;
+  /**
+   * Load TileJSON metadata from the database, using either metadataQuery or metadataFunc param.
+   * The query must return a single JSON object, e.g. {"attribution": "...", "bounds": [...]}
+   * @param params all parameters
+   * @returns {Promise<void>}
+   */
+  async loadMetadataAsync(params) {
+    this.metadata = {};
+    let query = params.metadataQuery;
+    if (params.metadataFunc) {
+      if (query) {
+        throw new Error("Only one of 'metadataQuery' or 'metadataFunc' params can be set");
       }
-      throw err;
-    } finally {
-      pool.pending--;
+      if (!/^[a-zA-Z_][a-zA-Z_0-9.]*$/.test(params.metadataFunc)) {
+        throw new Error('Parameter metadataFunc is expected to be a valid SQL function name (letters/digits/underscores)');
+      }
+      query = `SELECT ${params.metadataFunc}();`;
+    }
+    if (!query) {
+      return;
+    }
+    const res = await this._selectPool().pg.query({ text: query, rowMode: 'array' });
+    if (res.rows.length !== 1 || res.rows[0].length !== 1) {
+      throw new Error(`Metadata query must return one row with one column, but got ${res.rows.length} rows`);
     }
+    let value = res.rows[0][0];
+    if (typeof value === 'string' || Buffer.isBuffer(value)) {
+      value = JSON.parse(value.toString());
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error('Metadata query must return a JSON object');
+    }
+    this.metadata = value;
   }
 
+  /**
+   * Get TileJSON. The values come from the parameters, the database metadata, and the defaults
+   * (with the vector_layers decoded from the sample tiles), in that order of precedence.
+   * minzoom and maxzoom always reflect the zooms this source serves.
+   * @returns {Object}
+   */
   getInfoObj() {
-    return {
+    const info = {
       tilejson: '2.1.0',
       name: `${this._params.name ? `${this._params.name}, ` : ''}PgQuery ${pckg.version}`,
       format: 'pbf',
       id: 'openmaptiles',
       attribution: '<a href="https://www.openstreetmap.org/copyright" target="_blank">&copy; OpenStreetMap contributors</a>',
-      bounds: [-180, -85.0511, 180, 85.0511],
+      bounds: this.tileMatrixSet.bounds || [-180, -85.0511, 180, 85.0511],
       center: [-12.2168, 28.6135, 4],
       minzoom: this._params.minzoom,
       maxzoom: this._params.maxzoom,
@@ -328,6 +2254,18 @@ module.exports = class PgQuery {
       maskLevel: '8',
       version: '3.9',
     };
+    if (this.tileMatrixSet.id !== 'WebMercatorQuad') {
+      // Not a part of the TileJSON spec, but required to interpret the tiles in other grids
+      const { id, crs, origin } = this.tileMatrixSet;
+      info.tileMatrixSet = { id, crs, origin };
+    }
+    if (this.vectorLayers.length > 0) {
+      info.vector_layers = this.vectorLayers;
+    }
+    return Object.assign(info, this.metadata, this.tilejson, {
+      minzoom: this._params.minzoom,
+      maxzoom: this._params.maxzoom,
+    });
   }
 
   getInfo(callback) {
@@ -340,12 +2278,8 @@ module.exports = class PgQuery {
    */
   printTilejsonSpec(specInfo) {
     if (specInfo === undefined || toBool(specInfo)) {
-      console.error(`tilelive-pgquery v${pckg.version}`);
-      const info = this.getInfoObj();
-      console.error(Object.keys(info).reduce(
-        (res, key) => `${res}  ${key.padStart(13)} = ${info[key]}\n`,
-        'Tilejson Spec:\n'
-      ));
+      this.log.info({ version: pckg.version }, `tilelive-pgquery v${pckg.version}`);
+      this.log.info({ details: this.getInfoObj() }, 'Tilejson Spec');
     }
   }
 
@@ -398,57 +2332,104 @@ module.exports = class PgQuery {
         }));
 
         // print in the same order as given above
-        console.error(Object.keys(pgSettings).reduce(
-          (res, key) => `${res}  ${key.padStart(32)} = ${results[key]}\n`,
-          `Server information for ${pool.pg.options.host}:${pool.pg.options.port}:\n`
-        ));
+        const details = {};
+        for (const key of Object.keys(pgSettings)) {
+          details[key] = results[key];
+        }
+        this.log.info({ host: pool.name, details }, `Server information for ${pool.name}`);
       };
       await Promise.all(this.pgpools.map(versionGetter));
     }
   }
 
-  parseTestOnStartup(testOnStartup) {
-    const defaultZoom = 14;
-    const defaultX = 9268;
-    const defaultY = 3575;
+  /**
+   * Get the list of tiles to test on startup, one for each query definition.
+   * Definitions without an explicitly given test tile use the default one adjusted to their zooms.
+   * @param testOnStartup one or more testOnStartup parameter values
+   * @returns {Array[]|false} list of [z, x, y] tiles, or false if testing is disabled
+   */
+  getTestTiles(testOnStartup) {
+    const values = Array.isArray(testOnStartup) ? testOnStartup : [testOnStartup];
+    const tiles = values.map(v => this.parseTestOnStartup(v));
+    if (tiles.includes(false)) {
+      return false;
+    }
+    return this.tileQueries.map(def => tiles.find(t => t[0] >= def.minzoom && t[0] <= def.maxzoom)
+      || this.parseTestOnStartup(undefined, def.minzoom, def.maxzoom));
+  }
+
+  /**
+   * Parse and validate a tile index in the z/x/y or z,x,y format
+   * @param {string} value
+   * @param {string} name name of the parameter, for the error messages
+   * @returns {number[]} [z, x, y]
+   */
+  parseTileIndex(value, name) {
+    let parts = value.split('/');
+    if (parts.length === 1) {
+      parts = value.split(',');
+    }
+    if (parts.length !== 3) {
+      throw new Error(`Unable to parse ${name} param "${value}". It must be the z/x/y index of a tile`);
+    }
+    const [z, x, y] = parts.map(v => parseInt(v, 10));
+    if (!this.validateXY(z, x, y)) {
+      throw new Error(`Invalid ${name} tile [${z} / ${x} / ${y}]`);
+    }
+    return [z, x, y];
+  }
+
+  parseTestOnStartup(
+    testOnStartup,
+    minzoom = this._params.minzoom,
+    maxzoom = this._params.maxzoom
+  ) {
+    let [defaultZoom, defaultX, defaultY] = this.tileMatrixSet.testTile || [];
+    if (defaultZoom === undefined) {
+      // Custom tile matrix sets use the center of the matrix of the zoom closest to 14
+      defaultZoom = Math.min(Math.max(14, minzoom), maxzoom);
+      const [width, height] = this.tileMatrixSet.matrixSize(defaultZoom);
+      defaultX = Math.floor(width / 2);
+      defaultY = Math.floor(height / 2);
+    }
     let result;
     if (testOnStartup !== undefined) {
       if (!toBool(testOnStartup)) {
         result = false;
       } else {
-        // must be either z/x/y or z,x,y format
-        let parts = testOnStartup.split('/');
-        if (parts.length === 1) {
-          parts = testOnStartup.split(',');
-        }
-        if (parts.length !== 3) {
-          throw new Error('Unable to parse testOnStartup param. It can be "false", or the z/x/y index of a test tile');
-        }
-        const [z, x, y] = parts.map(v => parseInt(v, 10));
-        if (!this.validateXY(z, x, y)) {
-          throw new Error(`Invalid test tile [${z} / ${x} / ${y}]`);
-        }
-        result = [z, x, y];
-      }
-    } else if (defaultZoom > this._params.maxzoom) {
-      const div = 2 ** (defaultZoom - this._params.maxzoom);
-      result = [this._params.maxzoom, Math.floor(defaultX / div), Math.floor(defaultY / div)];
-    } else if (defaultZoom < this._params.minzoom) {
-      const div = 2 ** (this._params.minzoom - defaultZoom);
-      result = [this._params.minzoom, defaultX * div, defaultY * div];
+        result = this.parseTileIndex(testOnStartup, 'testOnStartup');
+        if (this.tileBounds && !this.tileBounds.contains(...result)) {
+          throw new Error(`The testOnStartup tile [${result.join(' / ')}] is outside of the bounds`);
+        }
+      }
+      return result;
+    }
+    if (defaultZoom > maxzoom) {
+      const div = 2 ** (defaultZoom - maxzoom);
+      result = [maxzoom, Math.floor(defaultX / div), Math.floor(defaultY / div)];
+    } else if (defaultZoom < minzoom) {
+      const div = 2 ** (minzoom - defaultZoom);
+      result = [minzoom, defaultX * div, defaultY * div];
     } else {
       result = [defaultZoom, defaultX, defaultY];
     }
+    if (this.tileBounds && !this.tileBounds.contains(...result)) {
+      // The default tile is likely outside of a regional dataset
+      result = this.tileBounds.getCenterTile(result[0]) || result;
+    }
     return result;
   }
 
-  async _testSingleServer(pool, testTile) {
+  async _testSingleServer(pool, testTile, def) {
     const start = new Date().getTime();
-    const info = `a tile at [${testTile}] from ${pool.pg.options.host}:${pool.pg.options.port}/${pool.pg.options.database}`;
-    console.error(`Verifying pgquery data source by retrieving ${info}...`);
+    const info = `a tile at [${testTile}] from ${pool.name}/${pool.pg.options.database}`;
+    const [z, x, y] = testTile;
+    this.log.info({
+      z, x, y, host: pool.name,
+    }, `Verifying pgquery data source by retrieving ${info}...`);
     const status = {};
     try {
-      const res = await this._getRawTileAsync(...testTile, pool);
+      const res = await this._getRawTileAsync(...testTile, pool, undefined, def);
       if (res.length === 0) {
         throw new Error('Empty result was returned by the database. Make sure test tile contains non-empty result. Use testOnStartup parameter to specify a different test tile.');
       }
@@ -467,13 +2448,8 @@ module.exports = class PgQuery {
 
       status.value = value;
 
-      // Try to gunzip the value to see if it was gzipped by the server
-      try {
-        status.uncompressed = gunzipSync(value);
-        status.isGziped = true;
-      } catch (err) {
-        status.isGziped = false;
-      }
+      // See if the value was compressed by the server
+      Object.assign(status, detectCompression(value));
 
       if (row.length > 1) {
         const hash = row[1];
@@ -487,26 +2463,43 @@ module.exports = class PgQuery {
         status.useKeyColumn = false;
       }
 
-      let tileInfo = `${info} was generated in ${(new Date().getTime()) - start}ms.  The result is ${value.length} bytes detected as ${!status.isGziped ? 'raw data' : 'gzipped data'}.`;
-      if (status.isGziped) {
+      const duration = new Date().getTime() - start;
+      let tileInfo = `${info} was generated in ${duration}ms.  The result is ${value.length} bytes detected as ${!status.compression ? 'raw data' : `${status.compression}-compressed data`}.`;
+      if (status.uncompressed) {
         tileInfo += ` ${status.uncompressed.length} bytes uncompressed.`;
+      } else if (status.compression) {
+        tileInfo += ` Node.js ${process.version} is unable to decompress it.`;
       }
-      console.error(tileInfo);
+      this.log.info({
+        z, x, y, host: pool.name, duration, size: value.length,
+      }, tileInfo);
 
       return status;
     } catch (err) {
-      console.error(`Failed to get ${info} (in ${(new Date().getTime()) - start}ms), aborting tilelive-pgquery initialization:\n${err}`);
+      const action = this._initialized ? 'rejecting the new query' : 'aborting tilelive-pgquery initialization';
+      const duration = new Date().getTime() - start;
+      this.log.error(
+        Object.assign({
+          z, x, y, duration,
+        }, errorFields(err), { host: pool.name }),
+        `Failed to get ${info} (in ${duration}ms), ${action}:\n${err}`
+      );
       throw err;
     }
   }
 
   /**
    * Generate a single tile to see if the server is working.
+   * Detects the data format returned by the query definition used for the test tile's zoom.
    * @param testTile which tile to use for testing
+   * @param [def] query definition to test, the one used for the test tile's zoom by default
    * @returns {Promise<void>}
    */
-  async testOnStartupAsync(testTile) {
-    const results = await Promise.all(this.pgpools.map(p => this._testSingleServer(p, testTile)));
+  async testOnStartupAsync(testTile, def = this.queryByZoom[testTile[0]]) {
+    def.testTile = testTile;
+    const [z, x, y] = testTile;
+    const results = await Promise.all(this.pgpools.map(p => (
+      this._testSingleServer(p, testTile, def))));
     // Make sure all results are the same as the one that came from the first server
     const info = results[0];
     for (let i = 1; i < results.length; i++) {
@@ -526,69 +2519,227 @@ module.exports = class PgQuery {
     }
 
     let contentType;
-    let resultShouldBeGzip = true;
-    const tileData = info.isGziped ? info.uncompressed : info.value;
-    const tileAsHex = tileData.toString('hex');
+    let resultShouldBeCompressed = true;
+    const tileData = info.compression ? info.uncompressed : info.value;
+    const tileAsHex = tileData ? tileData.toString('hex') : '';
 
     if (tileAsHex.startsWith('1a') || tileAsHex.startsWith('28')) {
-      console.error(`Test tile begins with ${tileData[0].toString(16)}. This byte often corresponds to a valid vector tile.`);
+      this.log.info({ z, x, y }, `Test tile begins with ${tileData[0].toString(16)}. This byte often corresponds to a valid vector tile.`);
       contentType = 'application/x-protobuf';
     } else if (tileAsHex.startsWith('ffd8ff')) {
-      console.error('Test tile begins with FFD8FF. This sequence often corresponds to a JPEG image.');
+      this.log.info({ z, x, y }, 'Test tile begins with FFD8FF. This sequence often corresponds to a JPEG image.');
       contentType = 'image/jpeg';
-      resultShouldBeGzip = false;
+      resultShouldBeCompressed = false;
     } else if (tileAsHex.startsWith('89504e470d0a1a0a')) {
-      console.error('Test tile begins with 89504E470D0A1A0A. This sequence often corresponds to a PNG image.');
+      this.log.info({ z, x, y }, 'Test tile begins with 89504E470D0A1A0A. This sequence often corresponds to a PNG image.');
       contentType = 'image/png';
-      resultShouldBeGzip = false;
+      resultShouldBeCompressed = false;
     } else {
-      console.error(`WARNING: Unable to recognize test tile. The tile begins with ${tileAsHex.substring(0, 10)}.`);
+      this.log.warn({ z, x, y }, tileData
+        ? `Unable to recognize test tile. The tile begins with ${tileAsHex.substring(0, 10)}.`
+        : `Unable to recognize test tile because it cannot be decompressed from ${info.compression}.`);
       if (this._params.contentType === 'auto') {
         contentType = 'application/x-protobuf';
-        console.error(`WARNING: "contentType" is not set, assuming vector tile (${contentType})`);
+        this.log.warn({ z, x, y }, `"contentType" is not set, assuming vector tile (${contentType})`);
       }
     }
 
     if (this.paramKey !== 'auto' && this.paramKey !== info.useKeyColumn) {
       throw new Error(`The "key" parameter is set to ${this.paramKey}, but the query returned ${info.useKeyColumn ? 'a' : 'no'} second column with a valid hex value`);
     }
-    this.useKeyColumn = info.useKeyColumn;
+    def.useKeyColumn = info.useKeyColumn;
 
     if (contentType) {
-      if (info.isGziped && !resultShouldBeGzip) {
-        console.error(`WARNING: test tile was detected as ${contentType}, but PostgreSQL returned it as GZIP-compressed. Images are already compressed, and should not be compressed further.`);
+      if (info.compression && !resultShouldBeCompressed) {
+        this.log.warn({ z, x, y }, `test tile was detected as ${contentType}, but PostgreSQL returned it as ${info.compression}-compressed. Images are already compressed, and should not be compressed further.`);
       }
-      if (this.paramGzip !== 'auto' && (this.paramGzip || info.isGziped) !== resultShouldBeGzip) {
-        console.error(`WARNING: test tile was detected as ${info.isGziped ? 'gzipped ' : ''}${contentType}, which ${resultShouldBeGzip ? 'should' : 'should not'} be gzipped, but gzip parameter is set to ${this.paramGzip}.`);
+      const isCompressed = !!info.compression || this.paramCompression !== 'none';
+      if (this.paramCompression !== 'auto' && isCompressed !== resultShouldBeCompressed) {
+        this.log.warn({ z, x, y }, `test tile was detected as ${info.compression ? `${info.compression}-compressed ` : ''}${contentType}, which ${resultShouldBeCompressed ? 'should' : 'should not'} be compressed, but compression is set to ${this.paramCompression}.`);
       }
     }
 
-    if (this.paramGzip === 'auto') {
-      this.gzip = resultShouldBeGzip && !info.isGziped;
+    if (info.compression) {
+      // Data compressed by PostgreSQL is never compressed again
+      if (this.paramCompression !== 'auto' && this.paramCompression !== 'none'
+        && this.paramCompression !== info.compression) {
+        this.log.warn({ z, x, y }, `PostgreSQL returned ${info.compression}-compressed data, which will be served as is instead of using ${this.paramCompression} compression.`);
+      }
+      def.compression = undefined;
+    } else if (this.paramCompression === 'auto') {
+      def.compression = resultShouldBeCompressed ? 'gzip' : undefined;
     } else {
-      this.gzip = this.paramGzip;
+      def.compression = this.paramCompression === 'none' ? undefined : this.paramCompression;
     }
 
     if (this._params.contentType !== 'auto' && this._params.contentType !== contentType) {
-      console.error(`WARNING: Test tile was detected as "${contentType}", but parameter contentType overwrites it with "${this._params.contentType}"`);
+      this.log.warn({ z, x, y }, `Test tile was detected as "${contentType}", but parameter contentType overwrites it with "${this._params.contentType}"`);
       contentType = this._params.contentType;
     }
 
-    this.headers = {
+    const headers = {
       'Content-Type': contentType,
     };
 
     if (this._params.contentEncoding === 'auto') {
-      if (info.isGziped || this.gzip) {
-        this.headers['Content-Encoding'] = 'gzip';
+      const encoding = info.compression || def.compression;
+      if (encoding) {
+        headers['Content-Encoding'] = encoding;
       }
     } else if (this._params.contentEncoding !== '') {
-      this.headers['Content-Encoding'] = this._params.contentEncoding;
+      headers['Content-Encoding'] = this._params.contentEncoding;
+    }
+
+    if (contentType === 'application/x-protobuf' && tileData) {
+      this.addVectorLayerSample(testTile, tileData);
+    }
+
+    // All query definitions must produce the same kind of tiles.
+    // The headers set in the config file are added to all tiles as is.
+    const customHeaders = this._params.headers || {};
+    if (this.headers) {
+      for (const key of new Set([...Object.keys(this.headers), ...Object.keys(headers)])) {
+        if (!(key in customHeaders) && this.headers[key] !== headers[key]) {
+          throw new Error(`Tiles for zooms ${def.minzoom}-${def.maxzoom} have ${key} "${headers[key]}", but other zooms have "${this.headers[key]}"`);
+        }
+      }
+    } else {
+      this.headers = Object.assign(headers, customHeaders);
+    }
+  }
+
+  /**
+   * Parse the tileParam declarations in the "name:type" or "name:type=default" form
+   * @param {string[]} [declarations]
+   * @returns {Object[]} list of {name, type, default} objects
+   */
+  static parseTileParamDeclarations(declarations) {
+    const result = [];
+    for (const decl of declarations || []) {
+      const match = /^([a-zA-Z_][a-zA-Z0-9_]*):([a-z]+)(?:=([\s\S]*))?$/.exec(decl);
+      if (!match || !tileParamTypes[match[2]]) {
+        throw new Error(`Parameter tileParam has invalid value '${decl}'. It should be "name:type" or "name:type=default", where type is one of ${Object.keys(tileParamTypes).join(', ')}`);
+      }
+      const [, name, type, defaultValue] = match;
+      if (result.some(p => p.name === name)) {
+        throw new Error(`Parameter tileParam '${name}' is declared more than once`);
+      }
+      const param = { name, type };
+      if (defaultValue !== undefined) {
+        param.default = PgQuery.convertTileParam(param, defaultValue);
+      }
+      result.push(param);
+    }
+    return result;
+  }
+
+  static convertTileParam(param, value) {
+    const str = value.toString();
+    const paramType = tileParamTypes[param.type];
+    if (!paramType.re.test(str)) {
+      throw new Error(`Tile parameter ${param.name} has invalid ${param.type} value '${str}'`);
+    }
+    return paramType.convert(str);
+  }
+
+  /**
+   * Validate request-time tile parameter values against the declared tileParam list
+   * @param {Object|string} [options] parameter values, either as an object or a query string
+   * @returns {Object} parameter values converted to their declared types, including defaults
+   */
+  parseTileParams(options) {
+    const values = typeof options === 'string'
+      ? querystring.parse(options.replace(/^\?/, ''))
+      : (options || {});
+    for (const name of Object.keys(values)) {
+      if (!this.tileParams.some(p => p.name === name)) {
+        throw new Error(`Unknown tile parameter '${name}'`);
+      }
+    }
+    const result = {};
+    for (const param of this.tileParams) {
+      const value = values[param.name];
+      if (Array.isArray(value)) {
+        throw new Error(`Tile parameter ${param.name} must not be given more than once`);
+      }
+      if (value !== undefined && value !== null && value !== '') {
+        result[param.name] = PgQuery.convertTileParam(param, value);
+      } else if (param.default !== undefined) {
+        result[param.name] = param.default;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Fetch the sample tiles given by the sampleTile parameter, and add their layers and fields
+   * to the vector_layers list
+   * @param {string[]} [sampleTiles] list of z/x/y tile indexes
+   * @returns {Promise<void>}
+   */
+  async sampleVectorLayersAsync(sampleTiles) {
+    if (!sampleTiles) {
+      return;
+    }
+    if (!this.headers || this.headers['Content-Type'] !== 'application/x-protobuf') {
+      this.log.warn('sampleTile parameter is ignored because the tiles were not detected as vector tiles');
+      return;
+    }
+    const tiles = sampleTiles.map(v => this.parseTileIndex(v, 'sampleTile'));
+    await Promise.all(tiles.map(async (tile) => {
+      const res = await this._getRawTileAsync(...tile, this._selectPool());
+      const value = res.length > 0 && res[0][0];
+      if (!value || value.length === 0) {
+        this.log.warn({ z: tile[0], x: tile[1], y: tile[2] }, `sample tile [${tile}] is empty`);
+        return;
+      }
+      const { compression, uncompressed } = detectCompression(value);
+      if (compression && !uncompressed) {
+        this.log.warn({ z: tile[0], x: tile[1], y: tile[2] }, `sample tile [${tile}] cannot be decompressed from ${compression}`);
+        return;
+      }
+      this.addVectorLayerSample(tile, uncompressed || value);
+    }));
+  }
+
+  /**
+   * Decode a vector tile, and merge its layers and fields into the vector_layers list.
+   * Each layer's minzoom and maxzoom cover the zoom ranges of the queries that returned it.
+   * @param {number[]} tile [z, x, y] index of the tile
+   * @param {Buffer} data uncompressed tile data
+   */
+  addVectorLayerSample(tile, data) {
+    let layers;
+    try {
+      layers = mvt.decodeLayers(data);
+    } catch (err) {
+      const [z, x, y] = tile;
+      this.log.warn({
+        z, x, y, err,
+      }, `Unable to decode tile [${tile}] to get the vector_layers: ${err.message}`);
+      return;
+    }
+    const def = this.queryByZoom[tile[0]];
+    for (const layer of layers) {
+      let vectorLayer = this.vectorLayers.find(v => v.id === layer.name);
+      if (!vectorLayer) {
+        vectorLayer = {
+          id: layer.name, fields: {}, minzoom: def.minzoom, maxzoom: def.maxzoom,
+        };
+        this.vectorLayers.push(vectorLayer);
+      }
+      vectorLayer.minzoom = Math.min(vectorLayer.minzoom, def.minzoom);
+      vectorLayer.maxzoom = Math.max(vectorLayer.maxzoom, def.maxzoom);
+      for (const field of Object.keys(layer.fields)) {
+        const type = vectorLayer.fields[field];
+        vectorLayer.fields[field] = type && type !== layer.fields[field] ? 'Mixed' : layer.fields[field];
+      }
     }
   }
 
   /**
-   * Validate multiple hosts, or multiple corresponding values (port, ...)
+   * Validate multiple hosts, or multiple corresponding values (port, ...).
+   * A host is a host name, an IP address, or the directory of a Unix-domain socket.
    * @param params all parameters. param[name] will be updated in-place
    * @param name name of the current param, e.g. host, port, ...
    * @param defaultValue integer default value for the non-host params
@@ -617,7 +2768,9 @@ module.exports = class PgQuery {
         throw new Error(`Parameter ${name} has invalid value`);
       }
       const result = v.toString();
-      if ((defaultValue && !/^\d{1,5}$/.test(result)) || (!defaultValue && !/^([a-zA-Z0-9_-]+\.)*[a-zA-Z0-9_-]+$/.test(result))) {
+      const isHost = () => /^([a-zA-Z0-9_-]+\.)*[a-zA-Z0-9_-]+$/.test(result)
+        || net.isIPv6(result) || result.startsWith('/');
+      if (defaultValue ? !/^\d{1,5}$/.test(result) : !isHost()) {
         throw new Error(`Parameter ${name} has invalid value '${result}'`);
       }
       return defaultValue ? parseInt(result, 10) : result;
@@ -626,39 +2779,180 @@ module.exports = class PgQuery {
     params[name] = value;
   }
 
-  prepareQuery(params) {
-    const throwOn = (val1, val2) => {
-      if (val1 || val2) {
-        throw new Error("One of either 'query', 'queryFile', or 'funcZXY' params must be set, but no more than one");
+  /**
+   * Generate an MVT query with one layer per table for each value of the tables parameter,
+   * reading the geometry and attribute columns from the database. The generated queries are
+   * appended to the query parameter, keeping their zoom prefix.
+   * @param params all parameters
+   * @returns {Promise<void>}
+   */
+  async generateTablesQueries(params) {
+    if (!params.tables) {
+      return;
+    }
+    if (this.tileParams.length > 0) {
+      throw new Error('Parameter tileParam cannot be used together with the tables parameter');
+    }
+    if (this.tileMatrixSet.id !== 'WebMercatorQuad') {
+      throw new Error('Parameter tables can only be used with the WebMercatorQuad tileMatrixSet');
+    }
+    const pool = this._selectPool();
+    const queries = await Promise.all(params.tables.map(async (val) => {
+      const { minzoom, maxzoom, value } = parseZoomPrefix(val, params.minzoom, params.maxzoom);
+      const tables = value.split(',').map(v => v.trim());
+      const layers = await Promise.all(tables.map(t => (
+        PgQuery.readTableInfoAsync(pool, t, this.log))));
+      for (const layer of layers) {
+        this.log.info({ layer: layer.name, minzoom, maxzoom }, `Generating layer ${layer.name} for zooms ${minzoom}-${maxzoom} from ${layer.schema}.${layer.table}.${layer.geometry} (SRID ${layer.srid}) with ${layer.columns.length} attribute(s): ${layer.columns.join(', ')}`);
       }
+      const query = PgQuery.buildTablesQuery(layers, params.extent, params.buffer);
+      return val === value ? query : `${minzoom}-${maxzoom}:${query}`;
+    }));
+    params.query = (params.query || []).concat(queries);
+  }
+
+  /**
+   * Read the geometry column, its SRID, and the attribute columns of a table
+   * @param pool pool to run the queries on
+   * @param {string} name table name, optionally prefixed with the schema, e.g. "schema.table"
+   * @param {Object} [log] logger for the warnings
+   * @returns {Promise<Object>} layer info: {name, schema, table, geometry, srid, columns}
+   */
+  static async readTableInfoAsync(pool, name, log = getDefaultLogger()) {
+    const match = /^(?:([^.]+)\.)?([^.]+)$/.exec(name);
+    if (!match) {
+      throw new Error(`Parameter tables has invalid table name '${name}'`);
+    }
+    const schema = match[1] || 'public';
+    const table = match[2];
+    const geoms = await pool.pg.query(
+      'SELECT f_geometry_column AS geometry, srid FROM geometry_columns WHERE f_table_schema = $1 AND f_table_name = $2 ORDER BY f_geometry_column',
+      [schema, table]
+    );
+    if (geoms.rows.length === 0) {
+      throw new Error(`Table ${schema}.${table} does not exist or has no geometry columns`);
+    }
+    const { geometry, srid } = geoms.rows[0];
+    if (geoms.rows.length > 1) {
+      log.warn({ host: pool.name }, `Table ${schema}.${table} has more than one geometry column, using ${geometry}`);
+    }
+    if (!(srid > 0)) {
+      throw new Error(`Geometry column ${geometry} of table ${schema}.${table} has no SRID`);
+    }
+    const attrs = await pool.pg.query(
+      `SELECT attname FROM pg_attribute
+WHERE attrelid = format('%I.%I', $1::text, $2::text)::regclass AND attnum > 0 AND NOT attisdropped
+  AND format_type(atttypid, NULL) NOT IN ('geometry', 'geography', 'raster')
+ORDER BY attnum`,
+      [schema, table]
+    );
+    return {
+      name: table, schema, table, geometry, srid, columns: attrs.rows.map(r => r.attname),
     };
+  }
 
-    let preferPrepared = false;
-    if (params.funcZXY) {
-      throwOn(params.query, params.queryFile);
-      if (!/^[a-zA-Z_][a-zA-Z_0-9]{0,20}/.test(params.funcZXY)) {
-        throw new Error('Parameter funcZXY is expected to be a valid SQL function name (letters/digits/underscores)');
-      }
-      params.query = `SELECT * FROM ${params.funcZXY}($1,$2,$3);`;
-    } else if (params.query) {
-      throwOn(params.funcZXY, params.queryFile);
-    } else if (params.queryFile) {
-      throwOn(params.query, params.funcZXY);
-      params.query = fs.readFileSync(params.queryFile, { encoding: 'utf8' });
-      preferPrepared = true;
-    } else {
-      throwOn(true);
+  /**
+   * Build an MVT query with one layer per table
+   * @param {Object[]} layers layer info as returned by readTableInfoAsync
+   * @param {number} extent tile extent in the tile coordinate space
+   * @param {number} buffer size of the tile buffer in the tile coordinate space
+   * @returns {string}
+   */
+  static buildTablesQuery(layers, extent, buffer) {
+    const layerQueries = layers.map((layer) => {
+      const geom = quoteIdent(layer.geometry);
+      let envelope = `ST_TileEnvelope($1, $2, $3, margin => ${buffer / extent})`;
+      let mvtGeom = geom;
+      if (layer.srid !== 3857) {
+        envelope = `ST_Transform(${envelope}, ${layer.srid})`;
+        mvtGeom = `ST_Transform(${geom}, 3857)`;
+      }
+      const columns = layer.columns.map(c => `, ${quoteIdent(c)}`).join('');
+      return `  SELECT ST_AsMVT(tile, '${layer.name.replace(/'/g, "''")}', ${extent}, 'mvtgeom') AS mvtl FROM (
+    SELECT ST_AsMVTGeom(${mvtGeom}, ST_TileEnvelope($1, $2, $3), ${extent}, ${buffer}, true) AS mvtgeom${columns}
+    FROM ${quoteIdent(layer.schema)}.${quoteIdent(layer.table)}
+    WHERE ${geom} && ${envelope}
+  ) AS tile WHERE mvtgeom IS NOT NULL`;
+    });
+    return `SELECT STRING_AGG(mvtl, '') AS mvt FROM (
+${layerQueries.join('\n  UNION ALL\n')}
+) AS all_layers`;
+  }
+
+  /**
+   * Create the single tile and the batch query objects of a query definition
+   * @param {string} query
+   * @param {string|false} suffix unique suffix of the prepared statement names,
+   *   or false to not use prepared statements
+   * @returns {Object} {getTileQueryObj, getTilesQueryObj}
+   */
+  static buildQueryObjs(query, suffix) {
+    const getTileQueryObj = { text: query, rowMode: 'array' };
+    const getTilesQueryObj = { text: toBatchQuery(query), rowMode: 'array' };
+    if (suffix) {
+      getTileQueryObj.name = `getTile_${suffix}`;
+      getTilesQueryObj.name = `getTiles_${suffix}`;
+    }
+    return { getTileQueryObj, getTilesQueryObj };
+  }
+
+  /**
+   * Parse query, queryFile, and funcZXY params into a list of query definitions.
+   * Each param can be used multiple times, with a "minzoom-maxzoom:" prefix to limit it
+   * to a range of zooms. Every zoom from minzoom to maxzoom must have exactly one definition.
+   * @param params all parameters
+   */
+  prepareQuery(params) {
+    const definitions = [];
+    for (const type of ['funcZXY', 'query', 'queryFile']) {
+      for (const val of params[type] || []) {
+        const { minzoom, maxzoom, value } = parseZoomPrefix(val, params.minzoom, params.maxzoom);
+        let query = value;
+        let preferPrepared = false;
+        if (type === 'funcZXY') {
+          if (!/^[a-zA-Z_][a-zA-Z_0-9]{0,20}/.test(value)) {
+            throw new Error('Parameter funcZXY is expected to be a valid SQL function name (letters/digits/underscores)');
+          }
+          const named = this.tileParams.map((p, ind) => (
+            `, ${p.name} => $${ind + 4}::${tileParamTypes[p.type].sql}`));
+          query = `SELECT * FROM ${value}($1,$2,$3${named.join('')});`;
+        } else if (type === 'queryFile') {
+          query = fs.readFileSync(value, { encoding: 'utf8' });
+          preferPrepared = true;
+        }
+        const prepare = 'prepareStatement' in params ? toBool(params.prepareStatement) : preferPrepared;
+        definitions.push(Object.assign({
+          minzoom, maxzoom, type, prepare, file: type === 'queryFile' ? value : undefined,
+        }, PgQuery.buildQueryObjs(query, prepare && `${this.sourceId}_${minzoom}_${maxzoom}`)));
+      }
     }
 
-    params.prepareStatement = 'prepareStatement' in params ? toBool(params.prepareStatement) : preferPrepared;
+    if (definitions.length === 0) {
+      throw new Error("One of either 'query', 'queryFile', 'funcZXY', or 'tables' params must be set");
+    }
 
-    this.getTileQueryObj = { text: params.query, rowMode: 'array' };
-    if (params.prepareStatement) {
-      this.getTileQueryObj.name = 'getTile';
+    this.queryByZoom = [];
+    for (const def of definitions) {
+      for (let z = def.minzoom; z <= def.maxzoom; z++) {
+        if (this.queryByZoom[z]) {
+          throw new Error(`More than one of 'query', 'queryFile', 'funcZXY', or 'tables' params is set for zoom ${z}`);
+        }
+        this.queryByZoom[z] = def;
+      }
+    }
+    for (let z = params.minzoom; z <= params.maxzoom; z++) {
+      if (!this.queryByZoom[z]) {
+        throw new Error(`None of 'query', 'queryFile', 'funcZXY', or 'tables' params is set for zoom ${z}`);
+      }
     }
+    this.tileQueries = definitions.sort((a, b) => a.minzoom - b.minzoom);
   }
 };
 
+module.exports.queryTimeoutCode = queryTimeoutCode;
+module.exports.shuttingDownCode = shuttingDownCode;
+module.exports.setLogger = setDefaultLogger;
+
 module.exports.registerProtocols = (tilelive) => {
   tilelive.protocols['pgquery:'] = module.exports;
 };
@@ -0,0 +1,235 @@
+/*
+ Geographic area served by a source, given as a bounding box or as GeoJSON polygons.
+ For each zoom, the tiles that intersect the area are computed on first use, row by row.
+ */
+const fs = require('fs');
+
+// Tiles of the higher zooms are checked using their ancestor of this zoom, to limit the memory use
+const maxRowsZoom = 16;
+
+// Add a [from, to] range of tile indexes of a row
+function addRange(rows, y, range) {
+  if (!range) {
+    return;
+  }
+  let ranges = rows.get(y);
+  if (!ranges) {
+    ranges = [];
+    rows.set(y, ranges);
+  }
+  ranges.push(range);
+}
+
+// Sort and merge the overlapping and adjacent ranges
+function mergeRanges(ranges) {
+  ranges.sort((a, b) => a[0] - b[0]);
+  const result = [];
+  for (const [from, to] of ranges) {
+    const last = result[result.length - 1];
+    if (last && from <= last[1] + 1) {
+      last[1] = Math.max(last[1], to);
+    } else {
+      result.push([from, to]);
+    }
+  }
+  return result;
+}
+
+// Collect the polygons of a GeoJSON object as lists of rings
+function getPolygons(geojson, source) {
+  if (!geojson || typeof geojson !== 'object') {
+    throw new Error(`Invalid GeoJSON in ${source}`);
+  }
+  switch (geojson.type) {
+    case 'FeatureCollection':
+      return [].concat(...(geojson.features || []).map(f => getPolygons(f, source)));
+    case 'Feature':
+      return getPolygons(geojson.geometry, source);
+    case 'Polygon':
+      return [geojson.coordinates];
+    case 'MultiPolygon':
+      return geojson.coordinates;
+    default:
+      throw new Error(`Unsupported GeoJSON type "${geojson.type}" in ${source}, only Polygon and MultiPolygon geometries are allowed`);
+  }
+}
+
+module.exports = class TileBounds {
+  /**
+   * @param {Object} tileMatrixSet result of getTileMatrixSet()
+   * @param {Array[]} polygons list of polygons, each a list of rings of [lon, lat] points
+   */
+  constructor(tileMatrixSet, polygons) {
+    if (!tileMatrixSet.project) {
+      throw new Error(`Parameters bounds and boundsFile cannot be used with the ${tileMatrixSet.id} tile matrix set, because its projection is unknown`);
+    }
+    const rings = [].concat(...polygons);
+    if (rings.length === 0) {
+      throw new Error('Bounds must contain at least one polygon');
+    }
+    for (const ring of rings) {
+      if (!Array.isArray(ring) || ring.length < 3 || !ring.every(p => Array.isArray(p)
+        && p.length >= 2 && typeof p[0] === 'number' && typeof p[1] === 'number')) {
+        throw new Error('Each polygon ring must have at least 3 [longitude, latitude] points');
+      }
+    }
+    this.tileMatrixSet = tileMatrixSet;
+    this.rings = rings;
+    let [west, south, east, north] = [Infinity, Infinity, -Infinity, -Infinity];
+    for (const ring of rings) {
+      for (const [lon, lat] of ring) {
+        west = Math.min(west, lon);
+        south = Math.min(south, lat);
+        east = Math.max(east, lon);
+        north = Math.max(north, lat);
+      }
+    }
+    this.bbox = [west, south, east, north];
+    // Tile rows of each zoom, as a Map of y => sorted list of [minX, maxX]
+    this.zooms = [];
+  }
+
+  /**
+   * @param {number[]} bbox [west, south, east, north] in degrees
+   * @param {Object} tileMatrixSet
+   * @returns {TileBounds}
+   */
+  static fromBbox(bbox, tileMatrixSet) {
+    const [west, south, east, north] = bbox;
+    if (west >= east || south >= north) {
+      throw new Error('Parameter bounds must be given as west,south,east,north');
+    }
+    return new TileBounds(tileMatrixSet, [[[
+      [west, south], [east, south], [east, north], [west, north], [west, south],
+    ]]]);
+  }
+
+  /**
+   * Load the Polygon and MultiPolygon geometries of a GeoJSON file
+   * @param {string} file
+   * @param {Object} tileMatrixSet
+   * @returns {TileBounds}
+   */
+  static fromGeoJSONFile(file, tileMatrixSet) {
+    let geojson;
+    try {
+      geojson = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      throw new Error(`Unable to load boundsFile "${file}": ${err.message}`);
+    }
+    return new TileBounds(tileMatrixSet, getPolygons(geojson, `boundsFile "${file}"`));
+  }
+
+  /**
+   * Check if a tile intersects the area. Above maxRowsZoom, this is true for all tiles of the
+   * ancestor tile that intersects the area.
+   * @returns {boolean}
+   */
+  contains(z, x, y) {
+    if (z > maxRowsZoom) {
+      const div = 2 ** (z - maxRowsZoom);
+      return this.contains(maxRowsZoom, Math.floor(x / div), Math.floor(y / div));
+    }
+    const ranges = this.getRows(z).get(y);
+    return !!ranges && ranges.some(r => x >= r[0] && x <= r[1]);
+  }
+
+  /**
+   * Get a tile in the middle of the area
+   * @param {number} z
+   * @returns {number[]|undefined} [z, x, y], or undefined if the area is outside of the grid
+   */
+  getCenterTile(z) {
+    if (z > maxRowsZoom) {
+      const tile = this.getCenterTile(maxRowsZoom);
+      const div = 2 ** (z - maxRowsZoom);
+      return tile && [z, (tile[1] * div) + (div / 2), (tile[2] * div) + (div / 2)];
+    }
+    const rows = this.getRows(z);
+    if (rows.size === 0) {
+      return undefined;
+    }
+    const ys = [...rows.keys()].sort((a, b) => a - b);
+    const y = ys[Math.floor(ys.length / 2)];
+    const ranges = rows.get(y);
+    const [minX, maxX] = ranges[Math.floor(ranges.length / 2)];
+    return [z, Math.floor((minX + maxX) / 2), y];
+  }
+
+  /**
+   * Compute the tiles of a zoom up to maxRowsZoom that intersect the area. Within a row,
+   * a polygon covers the tiles of its edges clipped to the row, and the tiles between its edges
+   * just inside the top and the bottom lines of the row. Tiles that only touch the area
+   * are not included.
+   * @param {number} z
+   * @returns {Map<number,Array[]>} y => sorted list of [minX, maxX]
+   */
+  getRows(z) {
+    if (this.zooms[z]) {
+      return this.zooms[z];
+    }
+    const [width, height] = this.tileMatrixSet.matrixSize(z);
+    const rows = new Map();
+    // x positions where the edges cross the top and the bottom line of each row,
+    // counting only the edges that continue into the row
+    const topCrossings = new Map();
+    const bottomCrossings = new Map();
+    const addCrossing = (crossings, row, x) => {
+      if (!crossings.has(row)) {
+        crossings.set(row, []);
+      }
+      crossings.get(row).push(x);
+    };
+    // Tiles that overlap the [x1, x2] span, ignoring the tiles that only touch it
+    const toRange = (x1, x2) => {
+      const from = Math.max(0, Math.floor(Math.min(x1, x2)));
+      const to = Math.min(width - 1, Math.ceil(Math.max(x1, x2)) - 1);
+      return from <= to ? [from, to] : undefined;
+    };
+
+    for (const ring of this.rings) {
+      const points = ring.map((p) => {
+        const [fx, fy] = this.tileMatrixSet.project(p[0], p[1]);
+        return [fx * width, fy * height];
+      });
+      for (let i = 0; i < points.length; i++) {
+        const [x1, y1] = points[i];
+        const [x2, y2] = points[(i + 1) % points.length];
+        const minY = Math.min(y1, y2);
+        const maxY = Math.max(y1, y2);
+        const xAt = y => (y1 === y2 ? x1 : x1 + (((y - y1) * (x2 - x1)) / (y2 - y1)));
+        // The edges along the row boundaries are covered by the crossings
+        const lastRow = Math.min(height - 1, Math.ceil(maxY) - 1);
+        for (let row = Math.max(0, Math.floor(minY)); row <= lastRow; row++) {
+          const range = y1 === y2
+            ? toRange(x1, x2)
+            : toRange(xAt(Math.max(minY, row)), xAt(Math.min(maxY, row + 1)));
+          addRange(rows, row, range);
+        }
+        for (let line = Math.max(0, Math.ceil(minY)); line <= Math.min(height, maxY); line++) {
+          if (minY <= line && line < maxY && line < height) {
+            addCrossing(topCrossings, line, xAt(line));
+          }
+          if (minY < line && line <= maxY && line > 0) {
+            addCrossing(bottomCrossings, line - 1, xAt(line));
+          }
+        }
+      }
+    }
+
+    // The polygon interior is between the odd and the even crossings
+    for (const crossings of [topCrossings, bottomCrossings]) {
+      for (const [row, xs] of crossings) {
+        xs.sort((a, b) => a - b);
+        for (let i = 0; i + 1 < xs.length; i += 2) {
+          addRange(rows, row, toRange(xs[i], xs[i + 1]));
+        }
+      }
+    }
+    for (const [y, ranges] of rows) {
+      rows.set(y, mergeRanges(ranges));
+    }
+    this.zooms[z] = rows;
+    return rows;
+  }
+};
@@ -0,0 +1,84 @@
+/*
+ In-process LRU cache of the generated tiles, limited by the total size and the number of entries.
+ */
+
+module.exports = class TileCache {
+  /**
+   * @param {number} maxBytes maximum total size of the cached tiles, or 0 for no limit
+   * @param {number} maxEntries maximum number of the cached tiles, or 0 for no limit
+   */
+  constructor(maxBytes, maxEntries) {
+    this.maxBytes = maxBytes || Infinity;
+    this.maxEntries = maxEntries || Infinity;
+    this.bytes = 0;
+    // Map iterates in the insertion order, so the first item is always the least recently used
+    this.items = new Map();
+  }
+
+  get size() {
+    return this.items.size;
+  }
+
+  /**
+   * Get an entry, marking it as the most recently used
+   * @param {string} key
+   * @returns {Object|undefined} the entry as it was given to set()
+   */
+  get(key) {
+    const item = this.items.get(key);
+    if (!item) {
+      return undefined;
+    }
+    this.items.delete(key);
+    this.items.set(key, item);
+    return item.entry;
+  }
+
+  /**
+   * Add or replace an entry, evicting the least recently used entries if over the limits
+   * @param {string} key
+   * @param {Object} entry cached data, where entry.value is the tile buffer, or null if empty
+   */
+  set(key, entry) {
+    this.delete(key);
+    const size = key.length + (entry.value ? entry.value.length : 0);
+    if (size > this.maxBytes) {
+      return;
+    }
+    this.items.set(key, { entry, size });
+    this.bytes += size;
+    while (this.bytes > this.maxBytes || this.items.size > this.maxEntries) {
+      this.delete(this.items.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    const item = this.items.get(key);
+    if (item) {
+      this.items.delete(key);
+      this.bytes -= item.size;
+    }
+    return !!item;
+  }
+
+  /**
+   * Delete all entries that match the predicate
+   * @param {Function} predicate called with each entry
+   * @returns {number} number of deleted entries
+   */
+  deleteIf(predicate) {
+    let count = 0;
+    for (const [key, item] of this.items) {
+      if (predicate(item.entry)) {
+        this.delete(key);
+        count++;
+      }
+    }
+    return count;
+  }
+
+  clear() {
+    this.items.clear();
+    this.bytes = 0;
+  }
+};
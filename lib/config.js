@@ -0,0 +1,286 @@
+/*
+ Configuration files with one or more named sources, in JSON or YAML format:
+
+   connection:        # optional, server parameters shared by all sources
+     host: [db1, db2]
+     database: openmaptiles
+   sources:
+     roads:           # source parameters, same as the URI parameters
+       queryFile: roads.sql   # relative to the config file
+       maxzoom: 14
+       headers: { Cache-Control: max-age=3600 }
+       tilejson: { attribution: '...', bounds: [5, 45, 10, 48] }
+ */
+const fs = require('fs');
+const { dirname, resolve } = require('path');
+const yaml = require('js-yaml');
+const { tileMatrixSetIds } = require('./tileMatrixSets');
+
+class ConfigError extends Error {}
+
+// Location of a child value, e.g. sources.roads.query[1]
+function childPath(path, key) {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+  const name = /^[a-zA-Z_][a-zA-Z0-9_]*$/.test(key) ? key : JSON.stringify(key);
+  if (!path) {
+    return name;
+  }
+  return name === key ? `${path}.${name}` : `${path}[${name}]`;
+}
+
+function fail(path, msg, value) {
+  let given = JSON.stringify(value);
+  if (given && given.length > 40) {
+    given = `${given.substring(0, 37)}...`;
+  }
+  throw new ConfigError(`${path} must be ${msg}${value === undefined ? '' : `, but got ${given}`}`);
+}
+
+/**
+ * Value types of the schema. Each of them is a function(value, path) that throws
+ * a ConfigError if the value is invalid.
+ */
+const isString = (value, path) => (
+  (typeof value === 'string' && value !== '') || fail(path, 'a non-empty string', value));
+const isBoolean = (value, path) => typeof value === 'boolean' || fail(path, 'true or false', value);
+const isInteger = (value, path) => (
+  (Number.isInteger(value) && value >= 0) || fail(path, 'a non-negative integer', value));
+const isZoom = (value, path) => (
+  (Number.isInteger(value) && value >= 0 && value <= 22) || fail(path, 'an integer zoom from 0 to 22', value));
+const isNumbers = count => (value, path) => (
+  (Array.isArray(value) && value.length === count && value.every(v => typeof v === 'number'))
+  || fail(path, `a list of ${count} numbers`, value));
+
+// A single value, or a non-empty list of values of the given type
+const oneOrMore = check => (value, path) => {
+  if (Array.isArray(value)) {
+    if (value.length === 0) {
+      fail(path, 'a non-empty list', value);
+    }
+    value.forEach((v, ind) => check(v, childPath(path, ind)));
+  } else {
+    check(value, path);
+  }
+};
+
+// String or integer, e.g. a port, or a query timeout with a zoom prefix
+const isStringOrInteger = (value, path) => (
+  typeof value === 'string' ? isString(value, path) : isInteger(value, path));
+
+// testOnStartup can also be set to false to disable the test
+const isTestTile = (value, path) => value === false || oneOrMore(isString)(value, path);
+
+const isHeaders = (value, path) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    fail(path, 'an object with the header names and values', value);
+  }
+  for (const [name, val] of Object.entries(value)) {
+    isString(val, childPath(path, name));
+  }
+};
+
+const isObject = schema => (value, path) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    fail(path, 'an object', value);
+  }
+  for (const [key, val] of Object.entries(value)) {
+    const check = schema[key];
+    if (!check) {
+      throw new ConfigError(`${childPath(path, key)} is not a known parameter, expected one of ${Object.keys(schema).join(', ')}`);
+    }
+    check(val, childPath(path, key));
+  }
+};
+
+/**
+ * Parameters of the connection section. They are the same for all sources of a file,
+ * so the sources share the connection pools.
+ */
+const connectionSchema = {
+  connectionString: isString,
+  service: isString,
+  host: oneOrMore(isString),
+  port: oneOrMore(isStringOrInteger),
+  database: isString,
+  username: isString,
+  password: isString,
+  maxpool: oneOrMore(isStringOrInteger),
+  resolveDns: isBoolean,
+  sslmode: isString,
+  sslrootcert: isString,
+  sslcert: isString,
+  sslkey: isString,
+  sslpassword: isString,
+  connectionTimeout: isInteger,
+  applicationName: isString,
+  connectionInitQuery: isString,
+  balancing: isString,
+  maxFailures: isInteger,
+  healthCheckInterval: isInteger,
+  maxReplicationLag: isInteger,
+  replicationCheckInterval: isInteger,
+  retries: isInteger,
+  retryDelay: isInteger,
+  retryTimeout: isInteger,
+  shutdownTimeout: isInteger,
+};
+
+const tilejsonSchema = {
+  attribution: isString,
+  bounds: isNumbers(4),
+  center: isNumbers(3),
+  description: isString,
+  fillzoom: isZoom,
+  format: isString,
+  id: isString,
+  legend: isString,
+  scheme: isString,
+  template: isString,
+  version: isString,
+};
+
+const sourceSchema = {
+  funcZXY: oneOrMore(isString),
+  query: oneOrMore(isString),
+  queryFile: oneOrMore(isString),
+  tables: oneOrMore(isString),
+  tileParam: oneOrMore(isString),
+  minzoom: isZoom,
+  maxzoom: isZoom,
+  testOnStartup: isTestTile,
+  key: isBoolean,
+  gzip: isBoolean,
+  compression: isString,
+  contentType: isString,
+  contentEncoding: isString,
+  prepareStatement: isBoolean,
+  serverInfo: isBoolean,
+  specInfo: isBoolean,
+  errorsAsEmpty: isBoolean,
+  name: isString,
+  queryTimeout: oneOrMore(isStringOrInteger),
+  extent: isInteger,
+  buffer: isInteger,
+  tileMatrixSet: isString,
+  boundsFile: isString,
+  metadataQuery: isString,
+  metadataFunc: isString,
+  sampleTile: oneOrMore(isString),
+  cacheMaxBytes: isInteger,
+  cacheMaxEntries: isInteger,
+  cacheTtl: oneOrMore(isStringOrInteger),
+  keyQuery: isString,
+  listenChannel: isString,
+  batchSize: isInteger,
+  batchConcurrency: isInteger,
+  watchQueryFile: isBoolean,
+  watchInterval: isInteger,
+  shutdownTimeout: isInteger,
+  headers: isHeaders,
+  logLevel: isString,
+  tilejson: isObject(tilejsonSchema),
+};
+
+const configSchema = {
+  connection: isObject(connectionSchema),
+  sources: (value, path) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)
+      || Object.keys(value).length === 0) {
+      fail(path, 'an object with at least one named source', value);
+    }
+    for (const [name, source] of Object.entries(value)) {
+      isObject(sourceSchema)(source, childPath(path, name));
+    }
+  },
+};
+
+// Parameters with file paths, which are relative to the directory of the config file.
+// tileMatrixSet is only a path if it is neither a built-in identifier nor a JSON definition.
+const pathParams = ['queryFile', 'boundsFile', 'sslrootcert', 'sslcert', 'sslkey', 'tileMatrixSet'];
+
+// Return a copy of the source parameters with the relative file paths resolved against dir
+function resolvePaths(params, dir) {
+  const result = Object.assign({}, params);
+  for (const name of pathParams) {
+    const value = params[name];
+    if (value !== undefined) {
+      const resolveOne = (val) => {
+        if (name === 'queryFile') {
+          // queryFile values may have a zoom range prefix, e.g. 0-5:water_low.sql
+          const [, prefix, file] = /^((?:\d+(?:-\d+)?:)?)([\s\S]*)$/.exec(val);
+          return prefix + resolve(dir, file);
+        }
+        if (name === 'tileMatrixSet' && (tileMatrixSetIds.includes(val) || val.trim().startsWith('{'))) {
+          return val;
+        }
+        return resolve(dir, val);
+      };
+      result[name] = Array.isArray(value) ? value.map(resolveOne) : resolveOne(value);
+    }
+  }
+  return result;
+}
+
+/**
+ * Load and validate a configuration file
+ * @param {string} file path to a JSON or YAML file
+ * @returns {Object} {connection, sources}
+ */
+function loadConfig(file) {
+  let config;
+  try {
+    // JSON is a subset of YAML, and both report the line and column of the syntax errors
+    config = yaml.load(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    const msg = err.mark
+      ? `${err.reason} at line ${err.mark.line + 1}, column ${err.mark.column + 1}`
+      : err.message;
+    throw new Error(`Unable to load config file "${file}": ${msg}`);
+  }
+  try {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new ConfigError('the file must contain an object with the sources');
+    }
+    isObject(configSchema)(config, '');
+    if (!config.sources) {
+      throw new ConfigError('sources must be set');
+    }
+  } catch (err) {
+    if (err instanceof ConfigError) {
+      throw new Error(`Invalid config file "${file}": ${err.message}`);
+    }
+    throw err;
+  }
+  return { connection: config.connection || {}, sources: config.sources };
+}
+
+/**
+ * Get the parameters of a source defined in a configuration file
+ * @param {string} file path to a JSON or YAML file
+ * @param {string} [name] name of the source, may be omitted if the file has just one
+ * @returns {Object} parameters in the same form as the URI parameters, with the name set
+ *   to the source name by default, and the optional headers object. The relative file paths
+ *   are resolved against the directory of the config file.
+ */
+function getSourceParams(file, name) {
+  const { connection, sources } = loadConfig(file);
+  const names = Object.keys(sources);
+  let sourceName = name;
+  if (sourceName === undefined) {
+    if (names.length > 1) {
+      throw new Error(`Config file "${file}" has ${names.length} sources, use the source parameter to choose one of ${names.join(', ')}`);
+    }
+    [sourceName] = names;
+  } else if (!Object.prototype.hasOwnProperty.call(sources, sourceName)) {
+    throw new Error(`Config file "${file}" has no source "${sourceName}", expected one of ${names.join(', ')}`);
+  }
+  const source = Object.assign({}, sources[sourceName]);
+  const { tilejson } = source;
+  delete source.tilejson;
+  const params = Object.assign({ name: sourceName }, connection, tilejson, source);
+  return resolvePaths(params, dirname(resolve(file)));
+}
+
+module.exports = { loadConfig, getSourceParams };
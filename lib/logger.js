@@ -0,0 +1,103 @@
+/*
+ Logging. Any logger with the pino or bunyan interface can be used, i.e. with the trace, debug,
+ info, warn, error, and fatal methods that accept an optional object with the structured fields
+ followed by the message. By default, the messages are printed to stderr.
+ */
+/* eslint-disable no-console */
+const { DatabaseError } = require('pg');
+
+const levels = ['trace', 'debug', 'info', 'warn', 'error', 'fatal'];
+
+// Methods that a logger must have
+const requiredMethods = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Create a logger that prints the messages of the given level and above to stderr. Warnings are
+ * prefixed with "WARNING:". The structured fields are not printed, except for the details object,
+ * which is printed as a table of keys and values.
+ * @param {string} [level] minimum level, info by default
+ * @returns {Object}
+ */
+function createConsoleLogger(level = 'info') {
+  const minLevel = levels.indexOf(level);
+  if (minLevel < 0) {
+    throw new Error(`Unknown logLevel "${level}", must be one of ${levels.join(', ')}`);
+  }
+  const logger = { child: () => logger };
+  levels.forEach((name, index) => {
+    logger[name] = index < minLevel ? () => {} : (fields, msg) => {
+      if (typeof fields !== 'object' || fields === null) {
+        console.error(name === 'warn' ? `WARNING: ${fields}` : fields);
+        return;
+      }
+      let text = name === 'warn' ? `WARNING: ${msg}` : msg;
+      const { details } = fields;
+      if (details) {
+        const width = Math.max(...Object.keys(details).map(k => k.length));
+        const toStr = v => (typeof v === 'object' ? JSON.stringify(v) : v);
+        text += Object.keys(details).reduce(
+          (res, key) => `${res}\n  ${key.padStart(width)} = ${toStr(details[key])}`,
+          ':'
+        );
+      }
+      console.error(text);
+    };
+  });
+  return logger;
+}
+
+let defaultLogger = createConsoleLogger();
+
+/**
+ * Check that the logger has the methods of the pino and bunyan interface
+ * @param {Object} logger
+ * @returns {Object} the same logger
+ */
+function checkLogger(logger) {
+  if (!logger || typeof logger !== 'object'
+    || !requiredMethods.every(name => typeof logger[name] === 'function')) {
+    throw new Error(`The logger must be an object with the ${requiredMethods.join(', ')} methods`);
+  }
+  return logger;
+}
+
+/**
+ * Set the logger of the sources that were not given one with the logger parameter
+ * @param {Object} logger pino or bunyan logger, or undefined to print to stderr
+ */
+function setDefaultLogger(logger) {
+  defaultLogger = logger === undefined ? createConsoleLogger() : checkLogger(logger);
+}
+
+function getDefaultLogger() {
+  return defaultLogger;
+}
+
+/**
+ * Structured fields of an error: the error itself, its SQLSTATE if it was returned
+ * by PostgreSQL, its code otherwise, and the host set by the tile queries
+ * @param {Error} err
+ * @returns {Object}
+ */
+function errorFields(err) {
+  const fields = { err };
+  if (!err) {
+    return fields;
+  }
+  if (err instanceof DatabaseError) {
+    fields.sqlstate = err.code;
+  } else if (err.code) {
+    fields.code = err.code;
+    if (err.sqlstate) {
+      fields.sqlstate = err.sqlstate;
+    }
+  }
+  if (err.host) {
+    fields.host = err.host;
+  }
+  return fields;
+}
+
+module.exports = {
+  createConsoleLogger, checkLogger, setDefaultLogger, getDefaultLogger, errorFields,
+};
@@ -0,0 +1,164 @@
+/*
+ Minimal Mapbox Vector Tile decoder that reads just enough of a tile to describe its layers
+ and their fields, e.g. for the TileJSON vector_layers. See https://github.com/mapbox/vector-tile-spec
+ */
+/* eslint-disable no-param-reassign */
+
+/**
+ * Types of the MVT Value message fields, keyed by the field number
+ */
+const valueTypes = {
+  1: 'String', // string_value
+  2: 'Number', // float_value
+  3: 'Number', // double_value
+  4: 'Number', // int64_value
+  5: 'Number', // uint64_value
+  6: 'Number', // sint64_value
+  7: 'Boolean', // bool_value
+};
+
+function readVarint(buf, state) {
+  let result = 0;
+  let multiplier = 1;
+  let byte;
+  do {
+    if (state.pos >= state.end) {
+      throw new Error('Unexpected end of vector tile data');
+    }
+    byte = buf[state.pos++];
+    // 64-bit values lose precision, which is fine because only the lengths and indexes matter
+    result += (byte % 0x80) * multiplier;
+    multiplier *= 0x80;
+  } while (byte >= 0x80);
+  return result;
+}
+
+/**
+ * Call onField(field, value) for each field of the protobuf message located at buf[start..end).
+ * The value is a number for varints, and a [start, end) offsets array for all other wire types.
+ */
+function readMessage(buf, start, end, onField) {
+  const state = { pos: start, end };
+  while (state.pos < end) {
+    const tag = readVarint(buf, state);
+    const field = Math.floor(tag / 8);
+    const wireType = tag % 8;
+    let value;
+    switch (wireType) {
+      case 0:
+        value = readVarint(buf, state);
+        break;
+      case 1:
+        value = [state.pos, state.pos + 8];
+        break;
+      case 2:
+        value = readVarint(buf, state);
+        value = [state.pos, state.pos + value];
+        break;
+      case 5:
+        value = [state.pos, state.pos + 4];
+        break;
+      default:
+        throw new Error(`Unsupported protobuf wire type ${wireType} of field ${field}`);
+    }
+    if (Array.isArray(value)) {
+      if (value[1] > end) {
+        throw new Error('Unexpected end of vector tile data');
+      }
+      state.pos = value[1];
+    }
+    onField(field, value);
+  }
+}
+
+// Read a packed (or a single non-packed) repeated uint32 field
+function readPacked(buf, value, result) {
+  if (Array.isArray(value)) {
+    const state = { pos: value[0], end: value[1] };
+    while (state.pos < state.end) {
+      result.push(readVarint(buf, state));
+    }
+  } else {
+    result.push(value);
+  }
+}
+
+function decodeLayer(buf, start, end) {
+  const layer = {
+    name: undefined,
+    version: 1,
+    extent: 4096,
+    features: 0,
+    fields: {},
+  };
+  const keys = [];
+  const valueTypeList = [];
+  const tags = [];
+  readMessage(buf, start, end, (field, value) => {
+    switch (field) {
+      case 1:
+        layer.name = buf.toString('utf8', value[0], value[1]);
+        break;
+      case 2:
+        layer.features++;
+        readMessage(buf, value[0], value[1], (featureField, featureValue) => {
+          if (featureField === 2) {
+            readPacked(buf, featureValue, tags);
+          }
+        });
+        break;
+      case 3:
+        keys.push(buf.toString('utf8', value[0], value[1]));
+        break;
+      case 4: {
+        let type;
+        readMessage(buf, value[0], value[1], (valueField) => {
+          type = valueTypes[valueField];
+        });
+        valueTypeList.push(type);
+        break;
+      }
+      case 5:
+        layer.extent = value;
+        break;
+      case 15:
+        layer.version = value;
+        break;
+      default:
+        break;
+    }
+  });
+  if (layer.name === undefined) {
+    throw new Error('Vector tile layer has no name');
+  }
+  // Tags are pairs of key and value indexes
+  for (let i = 0; i + 1 < tags.length; i += 2) {
+    const key = keys[tags[i]];
+    const type = valueTypeList[tags[i + 1]];
+    if (key === undefined || type === undefined) {
+      throw new Error(`Invalid feature tags in the vector tile layer ${layer.name}`);
+    }
+    const existing = layer.fields[key];
+    layer.fields[key] = existing && existing !== type ? 'Mixed' : type;
+  }
+  return layer;
+}
+
+/**
+ * Decode the layers of an uncompressed vector tile
+ * @param {Buffer} buf
+ * @returns {Object[]} list of {name, version, extent, features, fields} objects, where features is
+ *   the number of features, and fields maps each attribute name to its type:
+ *   'String', 'Number', 'Boolean', or 'Mixed'
+ */
+function decodeLayers(buf) {
+  const layers = [];
+  readMessage(buf, 0, buf.length, (field, value) => {
+    if (field === 3) {
+      layers.push(decodeLayer(buf, value[0], value[1]));
+    }
+  });
+  return layers;
+}
+
+module.exports = { decodeLayers };
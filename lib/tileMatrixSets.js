@@ -0,0 +1,172 @@
+/*
+ Tile matrix sets (tile grids), as defined by the OGC Two Dimensional Tile Matrix Set standard.
+ See https://docs.ogc.org/is/17-083r4/17-083r4.html
+ */
+const fs = require('fs');
+
+const webMercatorMax = 20037508.3427892;
+const webMercatorMaxLat = 85.0511287798;
+// Eccentricity of the WGS84 ellipsoid
+const wgs84E = 0.0818191908426215;
+const wgs84MercatorMaxLat = 85.0840590501;
+
+const clampLat = (lat, max) => Math.max(-max, Math.min(max, lat));
+
+/**
+ * The built-in tile matrix sets. Each of them doubles the number of tiles in both directions
+ * with every zoom.
+ *   crs - URI of the coordinate reference system
+ *   origin - top left corner of the matrices, in the CRS units
+ *   bounds - [west, south, east, north] area covered by the matrices, in degrees
+ *   matrixSize - returns [width, height] of the matrix of a zoom
+ *   project - returns the [x, y] position of a longitude and latitude as a fraction
+ *     of the matrix width and height, starting at the top left corner
+ *   testTile - the default testOnStartup tile, at zoom 14
+ */
+const tileMatrixSets = {
+  WebMercatorQuad: {
+    crs: 'http://www.opengis.net/def/crs/EPSG/0/3857',
+    origin: [-webMercatorMax, webMercatorMax],
+    bounds: [-180, -85.0511, 180, 85.0511],
+    matrixSize: z => [2 ** z, 2 ** z],
+    project: (lon, lat) => {
+      const rad = (clampLat(lat, webMercatorMaxLat) * Math.PI) / 180;
+      const y = Math.log(Math.tan(rad) + (1 / Math.cos(rad)));
+      return [(lon + 180) / 360, (1 - (y / Math.PI)) / 2];
+    },
+    testTile: [14, 9268, 3575],
+  },
+  WorldCRS84Quad: {
+    crs: 'http://www.opengis.net/def/crs/OGC/1.3/CRS84',
+    origin: [-180, 90],
+    bounds: [-180, -90, 180, 90],
+    matrixSize: z => [2 ** (z + 1), 2 ** z],
+    project: (lon, lat) => [(lon + 180) / 360, (90 - lat) / 180],
+    testTile: [14, 18537, 1759],
+  },
+  WorldMercatorWGS84Quad: {
+    crs: 'http://www.opengis.net/def/crs/EPSG/0/3395',
+    origin: [-webMercatorMax, webMercatorMax],
+    bounds: [-180, -wgs84MercatorMaxLat, 180, wgs84MercatorMaxLat],
+    matrixSize: z => [2 ** z, 2 ** z],
+    project: (lon, lat) => {
+      const rad = (clampLat(lat, wgs84MercatorMaxLat) * Math.PI) / 180;
+      const sin = wgs84E * Math.sin(rad);
+      const y = Math.log(Math.tan((Math.PI / 4) + (rad / 2))
+        * (((1 - sin) / (1 + sin)) ** (wgs84E / 2)));
+      return [(lon + 180) / 360, (1 - (y / Math.PI)) / 2];
+    },
+    testTile: [14, 9268, 3592],
+  },
+};
+
+const isNumbers = (value, count) => Array.isArray(value) && value.length === count
+  && value.every(v => typeof v === 'number' && Number.isFinite(v));
+
+/**
+ * Parse a custom tile matrix set, given either in the OGC JSON encoding with the tileMatrices
+ * list, or in the short form with the matrices list of [width, height]. The index of each matrix
+ * in the list is its zoom.
+ * @param {Object} def
+ * @param {string} source where the definition came from, for the error messages
+ * @returns {Object}
+ */
+function parseDefinition(def, source) {
+  const error = msg => new Error(`Invalid tileMatrixSet ${source}: ${msg}`);
+  if (!def || typeof def !== 'object' || Array.isArray(def)) {
+    throw error('must be a JSON object');
+  }
+  let matrices = def.matrices;
+  let origin = def.origin;
+  if (Array.isArray(def.tileMatrices)) {
+    matrices = def.tileMatrices.map(m => [m.matrixWidth, m.matrixHeight]);
+    if (origin === undefined && def.tileMatrices.length > 0) {
+      origin = def.tileMatrices[0].pointOfOrigin;
+    }
+  }
+  if (!Array.isArray(matrices) || matrices.length === 0) {
+    throw error('either tileMatrices or matrices must be a non-empty list');
+  }
+  matrices.forEach((size, z) => {
+    if (!isNumbers(size, 2) || !size.every(v => Number.isInteger(v) && v > 0)) {
+      throw error(`the matrix of zoom ${z} must have a positive integer width and height`);
+    }
+  });
+  const crs = def.crs && typeof def.crs === 'object' ? def.crs.uri : def.crs;
+  if (typeof crs !== 'string' || crs === '') {
+    throw error('crs must be set');
+  }
+  if (origin !== undefined && !isNumbers(origin, 2)) {
+    throw error('origin must be a list of 2 numbers');
+  }
+  if (def.bounds !== undefined && !isNumbers(def.bounds, 4)) {
+    throw error('bounds must be a list of 4 numbers [west, south, east, north] in degrees');
+  }
+  return {
+    id: typeof def.id === 'string' ? def.id : 'custom',
+    crs,
+    origin,
+    bounds: def.bounds,
+    matrixSize: z => matrices[z],
+  };
+}
+
+/**
+ * Get a tile matrix set by its OGC identifier, or parse a custom definition
+ * @param {string} value one of the built-in identifiers, a JSON definition, or a path to
+ *   a JSON file with the definition
+ * @returns {Object} {id, crs, origin, bounds, matrixSize, project, testTile}, where only
+ *   id, crs, and matrixSize are always set. matrixSize returns undefined for zooms that are
+ *   not defined.
+ */
+function getTileMatrixSet(value) {
+  if (tileMatrixSets[value]) {
+    return Object.assign({ id: value }, tileMatrixSets[value]);
+  }
+  if (value.trim().startsWith('{')) {
+    let def;
+    try {
+      def = JSON.parse(value);
+    } catch (err) {
+      throw new Error(`Unable to parse tileMatrixSet JSON: ${err.message}`);
+    }
+    return parseDefinition(def, 'definition');
+  }
+  let data;
+  try {
+    data = fs.readFileSync(value, 'utf8');
+  } catch (err) {
+    throw new Error(`Unknown tileMatrixSet "${value}", must be one of ${Object.keys(tileMatrixSets).join(', ')}, a JSON definition, or a path to a JSON file: ${err.message}`);
+  }
+  let def;
+  try {
+    def = JSON.parse(data);
+  } catch (err) {
+    throw new Error(`Unable to parse tileMatrixSet file "${value}": ${err.message}`);
+  }
+  return parseDefinition(def, `file "${value}"`);
+}
+
+/**
+ * Get the range of tiles that intersect a bounding box. Tile matrix sets with an unknown
+ * projection always return the whole matrix.
+ * @param {Object} tileMatrixSet result of getTileMatrixSet()
+ * @param {number[]} bbox [west, south, east, north] in degrees
+ * @param {number} z zoom
+ * @returns {number[]} [minX, minY, maxX, maxY], inclusive
+ */
+function bboxToTileRange(tileMatrixSet, bbox, z) {
+  const [width, height] = tileMatrixSet.matrixSize(z);
+  if (!tileMatrixSet.project) {
+    return [0, 0, width - 1, height - 1];
+  }
+  const clamp = (v, size) => Math.min(size - 1, Math.max(0, Math.floor(v * size)));
+  const [west, north] = tileMatrixSet.project(bbox[0], bbox[3]);
+  const [east, south] = tileMatrixSet.project(bbox[2], bbox[1]);
+  return [clamp(west, width), clamp(north, height), clamp(east, width), clamp(south, height)];
+}
+
+// Identifiers of the built-in tile matrix sets
+const tileMatrixSetIds = Object.keys(tileMatrixSets);
+
+module.exports = { getTileMatrixSet, bboxToTileRange, tileMatrixSetIds };
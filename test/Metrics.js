@@ -0,0 +1,63 @@
+const { describe, it } = require('mocha');
+const assert = require('assert');
+
+const { Histogram, HostMetrics, formatPrometheus } = require('../lib/Metrics');
+
+describe('Metrics', () => {
+  it('counts histogram values in cumulative buckets', () => {
+    const hist = new Histogram([1, 10]);
+    hist.observe(0.5);
+    hist.observe(5);
+    hist.observe(50);
+    assert.deepStrictEqual(hist.toJSON(), { buckets: { 1: 1, 10: 2 }, sum: 55.5, count: 3 });
+  });
+
+  it('counts requests by zoom and outcome', () => {
+    const metrics = new HostMetrics();
+    metrics.addRequest(3, 'ok', 10, 1000, 1);
+    metrics.addRequest(3, 'empty', 5);
+    metrics.addRequest(5, 'timeout', 100);
+    const json = metrics.toJSON();
+    assert.deepStrictEqual(json.requests, {
+      3: {
+        ok: 1, empty: 1, error: 0, timeout: 0,
+      },
+      5: {
+        ok: 0, empty: 0, error: 0, timeout: 1,
+      },
+    });
+    assert.strictEqual(json.latency.count, 3);
+    assert.strictEqual(json.tileSize.count, 1);
+    assert.strictEqual(json.compressTime.sum, 1);
+  });
+
+  it('formats Prometheus text', () => {
+    const metrics = new HostMetrics();
+    metrics.addRequest(3, 'ok', 250, 1000);
+    const text = formatPrometheus({
+      coalesced: 2,
+      cacheHits: 0,
+      cacheRevalidated: 0,
+      cacheMisses: 1,
+      cacheEntries: 1,
+      cacheBytes: 1010,
+      hosts: [Object.assign({
+        name: 'db"1:5432',
+        healthy: true,
+        pool: {
+          total: 2, idle: 1, waiting: 0, pending: 1,
+        },
+      }, metrics.toJSON())],
+    }, { source: 'src' });
+    const lines = text.split('\n');
+    assert(lines.includes('# TYPE pgquery_requests_total counter'));
+    assert(lines.includes('pgquery_requests_total{source="src",host="db\\"1:5432",zoom="3",outcome="ok"} 1'));
+    assert(lines.includes('pgquery_query_duration_seconds_bucket{source="src",le="0.1",host="db\\"1:5432"} 0'));
+    assert(lines.includes('pgquery_query_duration_seconds_bucket{source="src",le="0.25",host="db\\"1:5432"} 1'));
+    assert(lines.includes('pgquery_query_duration_seconds_bucket{source="src",le="+Inf",host="db\\"1:5432"} 1'));
+    assert(lines.includes('pgquery_query_duration_seconds_sum{source="src",host="db\\"1:5432"} 0.25'));
+    assert(lines.includes('pgquery_pool_idle_clients{source="src",host="db\\"1:5432"} 1'));
+    assert(lines.includes('pgquery_cache_requests_total{source="src",result="miss"} 1'));
+    assert(lines.includes('pgquery_coalesced_requests_total{source="src"} 2'));
+  });
+});
@@ -0,0 +1,80 @@
+const {
+  describe, it, before, after,
+} = require('mocha');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TileBounds = require('../lib/TileBounds');
+const { getTileMatrixSet } = require('../lib/tileMatrixSets');
+
+describe('TileBounds', () => {
+  const webMercator = getTileMatrixSet('WebMercatorQuad');
+  // Each tile of zoom 2 is 45 by 45 degrees
+  const crs84 = getTileMatrixSet('WorldCRS84Quad');
+  const toLonLat = ([x, y]) => [(x * 45) - 180, 90 - (y * 45)];
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pgquery-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('finds the tiles of a bounding box', () => {
+    const bounds = TileBounds.fromBbox([-180, 0, 0, 85.0511287798], webMercator);
+    assert.deepStrictEqual([...bounds.getRows(1)], [[0, [[0, 0]]]]);
+    assert.deepStrictEqual([...bounds.getRows(2)], [[0, [[0, 1]]], [1, [[0, 1]]]]);
+    assert(bounds.contains(3, 3, 3));
+    assert(!bounds.contains(3, 4, 3));
+    assert(!bounds.contains(3, 3, 4));
+    assert.deepStrictEqual(bounds.bbox, [-180, 0, 0, 85.0511287798]);
+    assert.throws(() => TileBounds.fromBbox([10, 0, 0, 10], webMercator), /west,south,east,north/);
+  });
+
+  it('finds the tiles of polygons', () => {
+    const triangle = [[[0, 0], [4, 0], [0, 4], [0, 0]].map(toLonLat)];
+    assert.deepStrictEqual([...new TileBounds(crs84, [triangle]).getRows(2)], [
+      [0, [[0, 3]]], [1, [[0, 2]]], [2, [[0, 1]]], [3, [[0, 0]]],
+    ]);
+
+    const withHole = [
+      [[0, 0], [4, 0], [4, 4], [0, 4], [0, 0]].map(toLonLat),
+      [[1, 1], [1, 3], [3, 3], [3, 1], [1, 1]].map(toLonLat),
+    ];
+    const bounds = new TileBounds(crs84, [withHole]);
+    assert.deepStrictEqual(bounds.getRows(2).get(0), [[0, 3]]);
+    assert.deepStrictEqual(bounds.getRows(2).get(1), [[0, 0], [3, 3]]);
+    assert.deepStrictEqual(bounds.getRows(2).get(2), [[0, 0], [3, 3]]);
+    assert.deepStrictEqual(bounds.getRows(2).get(3), [[0, 3]]);
+    assert.deepStrictEqual(bounds.getCenterTile(2), [2, 3, 2]);
+  });
+
+  it('loads GeoJSON files', () => {
+    const file = path.join(dir, 'bounds.geojson');
+    fs.writeFileSync(file, JSON.stringify({
+      type: 'FeatureCollection',
+      features: [{
+        type: 'Feature',
+        properties: {},
+        geometry: {
+          type: 'MultiPolygon',
+          coordinates: [[[[5, 45], [10, 45], [10, 48], [5, 48], [5, 45]]]],
+        },
+      }],
+    }));
+    const bounds = TileBounds.fromGeoJSONFile(file, webMercator);
+    assert.deepStrictEqual(bounds.bbox, [5, 45, 10, 48]);
+    assert(bounds.contains(8, 134, 90));
+    assert(!bounds.contains(8, 10, 90));
+
+    fs.writeFileSync(file, '{"type": "Point", "coordinates": [5, 45]}');
+    assert.throws(() => TileBounds.fromGeoJSONFile(file, webMercator), /Unsupported GeoJSON type "Point"/);
+    assert.throws(() => TileBounds.fromGeoJSONFile(path.join(dir, 'missing'), webMercator), /Unable to load boundsFile/);
+    const custom = getTileMatrixSet('{"crs": "EPSG:2056", "matrices": [[1, 1]]}');
+    assert.throws(() => TileBounds.fromBbox([5, 45, 10, 48], custom), /projection is unknown/);
+  });
+});
@@ -0,0 +1,50 @@
+const { describe, it } = require('mocha');
+const assert = require('assert');
+
+const TileCache = require('../lib/TileCache');
+
+describe('TileCache', () => {
+  const entry = size => ({ value: Buffer.alloc(size) });
+
+  it('evicts least recently used entries over the entry limit', () => {
+    const cache = new TileCache(0, 2);
+    cache.set('a', entry(1));
+    cache.set('b', entry(1));
+    assert(cache.get('a'));
+    cache.set('c', entry(1));
+    assert.strictEqual(cache.size, 2);
+    assert(cache.get('a'));
+    assert.strictEqual(cache.get('b'), undefined);
+    assert(cache.get('c'));
+  });
+
+  it('evicts entries over the size limit', () => {
+    const cache = new TileCache(25, 0);
+    cache.set('a', entry(10));
+    cache.set('b', entry(10));
+    assert.strictEqual(cache.bytes, 22);
+    cache.set('c', entry(5));
+    assert.strictEqual(cache.size, 2);
+    assert.strictEqual(cache.bytes, 17);
+    assert.strictEqual(cache.get('a'), undefined);
+
+    // Entries bigger than the limit are not cached
+    cache.set('d', entry(30));
+    assert.strictEqual(cache.get('d'), undefined);
+    assert.strictEqual(cache.size, 2);
+  });
+
+  it('replaces and deletes entries', () => {
+    const cache = new TileCache(0, 0);
+    cache.set('a', entry(10));
+    cache.set('a', entry(5));
+    assert.strictEqual(cache.bytes, 6);
+    cache.set('b', { value: Buffer.alloc(1), z: 1 });
+    cache.set('c', { value: Buffer.alloc(1), z: 2 });
+    assert.strictEqual(cache.deleteIf(e => e.z > 0), 2);
+    assert.strictEqual(cache.delete('a'), true);
+    assert.strictEqual(cache.delete('a'), false);
+    assert.strictEqual(cache.size, 0);
+    assert.strictEqual(cache.bytes, 0);
+  });
+});
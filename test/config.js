@@ -0,0 +1,145 @@
+const {
+  describe, it, before, after,
+} = require('mocha');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const config = require('../lib/config');
+
+describe('config', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pgquery-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function writeConfig(name, content) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, content);
+    return file;
+  }
+
+  it('loads the source parameters from YAML', () => {
+    const file = writeConfig('tiles.yaml', `
+connection:
+  host: [db1, db2]
+  port: 5432
+  database: tiles
+sources:
+  roads:
+    query: |
+      SELECT mvt FROM roads($1, $2, $3)
+    maxzoom: 12
+    headers:
+      Cache-Control: max-age=3600
+    tilejson:
+      attribution: OSM
+      bounds: [5, 45, 10, 48]
+  "water areas":
+    queryFile: [0-5:water_low.sql, 6-14:water.sql]
+    testOnStartup: false
+`);
+    assert.deepStrictEqual(config.getSourceParams(file, 'roads'), {
+      name: 'roads',
+      host: ['db1', 'db2'],
+      port: 5432,
+      database: 'tiles',
+      attribution: 'OSM',
+      bounds: [5, 45, 10, 48],
+      query: 'SELECT mvt FROM roads($1, $2, $3)\n',
+      maxzoom: 12,
+      headers: { 'Cache-Control': 'max-age=3600' },
+    });
+    assert.deepStrictEqual(config.getSourceParams(file, 'water areas'), {
+      name: 'water areas',
+      host: ['db1', 'db2'],
+      port: 5432,
+      database: 'tiles',
+      queryFile: [`0-5:${path.join(dir, 'water_low.sql')}`, `6-14:${path.join(dir, 'water.sql')}`],
+      testOnStartup: false,
+    });
+    assert.throws(() => config.getSourceParams(file), /has 2 sources, use the source parameter to choose one of roads, water areas/);
+    assert.throws(() => config.getSourceParams(file, 'rail'), /has no source "rail"/);
+  });
+
+  it('loads JSON, and the only source by default', () => {
+    const file = writeConfig('tiles.json', JSON.stringify({ sources: { all: { funcZXY: 'tiles' } } }));
+    assert.deepStrictEqual(config.getSourceParams(file), { name: 'all', funcZXY: 'tiles' });
+  });
+
+  it('resolves the file paths relative to the config file', () => {
+    const file = writeConfig('paths.yaml', `
+connection:
+  sslrootcert: certs/root.crt
+  sslkey: /etc/ssl/client.key
+sources:
+  roads:
+    queryFile: ../sql/roads.sql
+    boundsFile: bounds.geojson
+    tileMatrixSet: grids/custom.json
+  water:
+    funcZXY: water
+    tileMatrixSet: WorldCRS84Quad
+  rail:
+    funcZXY: rail
+    tileMatrixSet: '{"id": "custom"}'
+`);
+    assert.deepStrictEqual(config.getSourceParams(file, 'roads'), {
+      name: 'roads',
+      sslrootcert: path.join(dir, 'certs/root.crt'),
+      sslkey: '/etc/ssl/client.key',
+      queryFile: path.join(path.dirname(dir), 'sql/roads.sql'),
+      boundsFile: path.join(dir, 'bounds.geojson'),
+      tileMatrixSet: path.join(dir, 'grids/custom.json'),
+    });
+    assert.strictEqual(config.getSourceParams(file, 'water').tileMatrixSet, 'WorldCRS84Quad');
+    assert.strictEqual(config.getSourceParams(file, 'rail').tileMatrixSet, '{"id": "custom"}');
+  });
+
+  it('sets shutdownTimeout for all sources, or for one of them', () => {
+    const file = writeConfig('shutdown.yaml', `
+connection:
+  shutdownTimeout: 1000
+sources:
+  roads:
+    funcZXY: roads
+  water:
+    funcZXY: water
+    shutdownTimeout: 30000
+`);
+    assert.strictEqual(config.getSourceParams(file, 'roads').shutdownTimeout, 1000);
+    assert.strictEqual(config.getSourceParams(file, 'water').shutdownTimeout, 30000);
+  });
+
+  it('reports the location of invalid values', () => {
+    const check = (content, expected) => {
+      const file = writeConfig('invalid.yaml', content);
+      assert.throws(() => config.loadConfig(file), (err) => {
+        assert.strictEqual(err.message, `Invalid config file "${file}": ${expected}`);
+        return true;
+      });
+    };
+    check('sources:\n  roads:\n    maxzoom: 23\n', 'sources.roads.maxzoom must be an integer zoom from 0 to 22, but got 23');
+    check('sources:\n  roads:\n    query: [a, 5]\n', 'sources.roads.query[1] must be a non-empty string, but got 5');
+    check('sources:\n  my roads:\n    maxzom: 5\n', 'sources["my roads"].maxzom is not a known parameter, expected one of funcZXY, query, queryFile, tables, tileParam, minzoom, maxzoom, testOnStartup, key, gzip, compression, contentType, contentEncoding, prepareStatement, serverInfo, specInfo, errorsAsEmpty, name, queryTimeout, extent, buffer, tileMatrixSet, boundsFile, metadataQuery, metadataFunc, sampleTile, cacheMaxBytes, cacheMaxEntries, cacheTtl, keyQuery, listenChannel, batchSize, batchConcurrency, watchQueryFile, watchInterval, shutdownTimeout, headers, logLevel, tilejson');
+    check('sources:\n  roads:\n    tilejson:\n      center: [1, 2]\n', 'sources.roads.tilejson.center must be a list of 3 numbers, but got [1,2]');
+    check('sources:\n  roads:\n    headers:\n      X-Version: 5\n', 'sources.roads.headers["X-Version"] must be a non-empty string, but got 5');
+    check('connection:\n  port: [5432, -1]\nsources:\n  roads: {}\n', 'connection.port[1] must be a non-negative integer, but got -1');
+    check('connection:\n  maxzoom: 5\nsources:\n  roads: {}\n', 'connection.maxzoom is not a known parameter, expected one of connectionString, service, host, port, database, username, password, maxpool, resolveDns, sslmode, sslrootcert, sslcert, sslkey, sslpassword, connectionTimeout, applicationName, connectionInitQuery, balancing, maxFailures, healthCheckInterval, maxReplicationLag, replicationCheckInterval, retries, retryDelay, retryTimeout, shutdownTimeout');
+    check('sources: {}\n', 'sources must be an object with at least one named source, but got {}');
+    check('connection: {}\n', 'sources must be set');
+    check('- roads\n', 'the file must contain an object with the sources');
+  });
+
+  it('reports the line and column of syntax errors', () => {
+    const file = writeConfig('broken.json', '{\n  "sources": {\n    "roads": { "query": "SELECT 1" ]\n  }\n}\n');
+    assert.throws(() => config.loadConfig(file), /Unable to load config file ".*broken.json": missed comma between flow collection entries at line 3, column 36$/);
+    assert.throws(() => config.loadConfig(path.join(dir, 'missing.yaml')), /Unable to load config file ".*missing.yaml": ENOENT/);
+  });
+});
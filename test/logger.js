@@ -0,0 +1,74 @@
+/* eslint-disable no-console */
+const { describe, it, afterEach } = require('mocha');
+const assert = require('assert');
+const { DatabaseError } = require('pg');
+
+const logger = require('../lib/logger');
+
+describe('logger', () => {
+  const { error } = console;
+
+  afterEach(() => {
+    console.error = error;
+    logger.setDefaultLogger(undefined);
+  });
+
+  function capture(fn) {
+    const lines = [];
+    console.error = (...args) => lines.push(args.join(' '));
+    try {
+      fn();
+    } finally {
+      console.error = error;
+    }
+    return lines;
+  }
+
+  it('prints the messages of the given level and above', () => {
+    const log = logger.createConsoleLogger('info');
+    assert.deepStrictEqual(capture(() => {
+      log.debug({ z: 1 }, 'hidden');
+      log.info({ z: 1, x: 0, y: 0 }, 'generated');
+      log.warn({ host: 'db:5432' }, 'slow server');
+      log.error('failed');
+    }), ['generated', 'WARNING: slow server', 'failed']);
+    assert.deepStrictEqual(capture(() => {
+      const quiet = logger.createConsoleLogger('error');
+      quiet.warn({}, 'hidden');
+      quiet.child({ source: 'roads' }).fatal({}, 'crashed');
+    }), ['crashed']);
+    assert.throws(() => logger.createConsoleLogger('verbose'), /Unknown logLevel "verbose", must be one of trace, debug, info, warn, error, fatal/);
+  });
+
+  it('prints the details as a table', () => {
+    const log = logger.createConsoleLogger();
+    assert.deepStrictEqual(capture(() => {
+      log.info({ details: { minzoom: 0, bounds: [1, 2] } }, 'Tilejson Spec');
+    }), ['Tilejson Spec:\n  minzoom = 0\n   bounds = [1,2]']);
+  });
+
+  it('validates and sets the default logger', () => {
+    assert.throws(() => logger.checkLogger({ info() {} }), /must be an object with the debug, info, warn, error methods/);
+    assert.throws(() => logger.setDefaultLogger(null), /must be an object/);
+    const custom = {
+      debug() {}, info() {}, warn() {}, error() {},
+    };
+    logger.setDefaultLogger(custom);
+    assert.strictEqual(logger.getDefaultLogger(), custom);
+    logger.setDefaultLogger(undefined);
+    assert.notStrictEqual(logger.getDefaultLogger(), custom);
+  });
+
+  it('returns the structured fields of errors', () => {
+    const dbError = new DatabaseError('division by zero', 0, 'error');
+    dbError.code = '22012';
+    dbError.host = 'db:5432';
+    assert.deepStrictEqual(logger.errorFields(dbError), { err: dbError, sqlstate: '22012', host: 'db:5432' });
+
+    const timeout = new Error('timed out');
+    timeout.code = 'QUERY_TIMEOUT';
+    timeout.sqlstate = '57014';
+    assert.deepStrictEqual(logger.errorFields(timeout), { err: timeout, code: 'QUERY_TIMEOUT', sqlstate: '57014' });
+    assert.deepStrictEqual(logger.errorFields(undefined), { err: undefined });
+  });
+});
@@ -0,0 +1,73 @@
+const { describe, it } = require('mocha');
+const assert = require('assert');
+
+const mvt = require('../lib/mvt');
+
+// Minimal protobuf encoder to build test tiles
+function varint(value) {
+  const bytes = [];
+  let v = value;
+  while (v >= 0x80) {
+    bytes.push((v % 0x80) + 0x80);
+    v = Math.floor(v / 0x80);
+  }
+  bytes.push(v);
+  return bytes;
+}
+const varintField = (field, value) => [...varint(field * 8), ...varint(value)];
+const bytesField = (field, bytes) => (
+  [...varint((field * 8) + 2), ...varint(bytes.length), ...bytes]);
+const stringField = (field, str) => bytesField(field, [...Buffer.from(str)]);
+
+function layer(name, keys, values, featureTags) {
+  return bytesField(3, [
+    ...varintField(15, 2),
+    ...stringField(1, name),
+    ...[].concat(...featureTags.map(tags => bytesField(2, [
+      ...varintField(3, 1),
+      ...bytesField(2, [].concat(...tags.map(varint))),
+      ...bytesField(4, [...varint(9), ...varint(50), ...varint(34)]),
+    ]))),
+    ...[].concat(...keys.map(k => stringField(3, k))),
+    ...[].concat(...values.map(v => bytesField(4, v))),
+    ...varintField(5, 512),
+  ]);
+}
+
+describe('MVT decoder', () => {
+  it('decodes layers and field types', () => {
+    const tile = Buffer.from([
+      ...layer(
+        'roads',
+        ['name', 'lanes', 'oneway', 'ref'],
+        [stringField(1, 'Main'), varintField(4, 2), varintField(7, 1), varintField(6, 300)],
+        [[0, 0, 1, 1, 3, 0], [0, 0, 2, 2, 3, 3]]
+      ),
+      ...layer('water', [], [], [[]]),
+    ]);
+    assert.deepStrictEqual(mvt.decodeLayers(tile), [
+      {
+        name: 'roads',
+        version: 2,
+        extent: 512,
+        features: 2,
+        fields: {
+          name: 'String', lanes: 'Number', oneway: 'Boolean', ref: 'Mixed',
+        },
+      },
+      {
+        name: 'water', version: 2, extent: 512, features: 1, fields: {},
+      },
+    ]);
+  });
+
+  it('decodes empty tile', () => {
+    assert.deepStrictEqual(mvt.decodeLayers(Buffer.alloc(0)), []);
+  });
+
+  it('rejects invalid data', () => {
+    assert.throws(() => mvt.decodeLayers(Buffer.from([0x1A, 8, 10, 23])), /Unexpected end/);
+    assert.throws(() => mvt.decodeLayers(Buffer.from([0x1A, 2, 0x10, 1])), /no name/);
+    assert.throws(() => mvt.decodeLayers(Buffer.from(layer('a', [], [], [[0, 0]]))), /Invalid feature tags/);
+  });
+});
@@ -2,8 +2,12 @@ const { describe, it, afterEach } = require('mocha');
 const assert = require('assert');
 const { promisify } = require('util');
 const zlib = require('zlib');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 const PgQuery = require('../lib/PgQuery');
+const mvt = require('../lib/mvt');
 const { Client } = require('pg');
 
 /**
@@ -30,6 +34,8 @@ describe('PostgreSQL Runner Tests', () => {
   const PGHOST = process.env.PGHOST || 'localhost';
   const PGPORT = process.env.PGPORT || '5432';
   const PGPORT2 = process.env.PGPORT2 || '5434';
+  // Optional streaming replica of the first instance
+  const { PGPORT_REPLICA } = process.env;
   const PGUSER = process.env.PGUSER || 'openmaptiles';
   const PGPASSWORD = process.env.PGPASSWORD || 'openmaptiles';
 
@@ -66,6 +72,7 @@ describe('PostgreSQL Runner Tests', () => {
     vTileGzLiteral = `decode('${res.rows[0].a2}', 'hex')`;
     jpgTileLiteral = `decode('${res.rows[0].a3}', 'hex')`;
     pngTileLiteral = `decode('${res.rows[0].a4}', 'hex')`;
+    await client.query('CREATE SEQUENCE IF NOT EXISTS pgquery_test_seq');
     await client.end();
   });
 
@@ -284,6 +291,60 @@ $$ LANGUAGE SQL STABLE RETURNS NULL ON NULL INPUT;`,
     });
   });
 
+  it('logs structured messages with the given logger', async () => {
+    const messages = [];
+    const logger = { bindings: {} };
+    for (const level of ['debug', 'info', 'warn', 'error']) {
+      logger[level] = (fields, msg) => messages.push({
+        level, fields: { ...logger.bindings, ...fields }, msg,
+      });
+    }
+    logger.child = (bindings) => {
+      logger.bindings = bindings;
+      return logger;
+    };
+    const creator = promisify((uri, callback) => new PgQuery(uri, callback));
+    const inst = await creator({
+      query: {
+        database: PGDATABASE,
+        host: PGHOST,
+        port: PGPORT,
+        username: PGUSER,
+        password: PGPASSWORD,
+        serverInfo: false,
+        specInfo: false,
+        name: 'logged',
+        logger,
+        // Division by zero at zoom 5
+        query: `SELECT ${vTileLiteral}::bytea WHERE $2 >= 0 AND $3 >= 0 AND 1.0 / ($1 - 5) <> 0`,
+      },
+    });
+    try {
+      const tested = messages.find(m => m.fields.duration !== undefined);
+      assert.strictEqual(tested.level, 'info');
+      assert.strictEqual(tested.fields.source, 'logged');
+      assert.strictEqual(tested.fields.host, `${PGHOST}:${PGPORT}`);
+      const { z, x, y } = tested.fields;
+      assert.deepStrictEqual([z, x, y], inst.parseTestOnStartup(undefined));
+
+      messages.length = 0;
+      await assert.rejects(promisify(inst.getTile).bind(inst)(5, 1, 2), /division by zero/);
+      assert.strictEqual(messages.length, 1);
+      const [{ level, fields, msg }] = messages;
+      assert.strictEqual(level, 'error');
+      assert.strictEqual(msg, 'Error getting 5/1/2: error: division by zero');
+      assert.deepStrictEqual(
+        [fields.source, fields.z, fields.x, fields.y, fields.host, fields.sqlstate],
+        ['logged', 5, 1, 2, `${PGHOST}:${PGPORT}`, '22012']
+      );
+      assert(fields.duration >= 0);
+      assert(fields.err instanceof Error);
+    } finally {
+      await inst.shutdownAsync();
+    }
+    await assert.rejects(newInstance({ ...query(vTileLiteral), logLevel: 'verbose' }), /Unknown logLevel "verbose"/);
+  });
+
   it('returns something for getInfo()', async () => {
     const inst = await newInstance();
     const getInfo = promisify(inst.getInfo);
@@ -297,12 +358,859 @@ $$ LANGUAGE SQL STABLE RETURNS NULL ON NULL INPUT;`,
     assert.strictEqual(info.maxzoom, 14);
   });
 
+  it('returns TileJSON from params and metadata', async () => {
+    const inst = await newInstance({
+      ...query(vTileLiteral),
+      metadataQuery: 'SELECT \'{"id": "from-db", "attribution": "db", "vector_layers": []}\'::json',
+      attribution: 'My data',
+      bounds: '-10,40.5,10,60',
+      center: '0,50,5',
+      maxzoom: '10',
+    });
+    const info = await promisify(inst.getInfo).apply(inst);
+    assert.strictEqual(info.id, 'from-db');
+    assert.strictEqual(info.attribution, 'My data');
+    assert.deepStrictEqual(info.vector_layers, []);
+    assert.deepStrictEqual(info.bounds, [-10, 40.5, 10, 60]);
+    assert.deepStrictEqual(info.center, [0, 50, 5]);
+    assert.strictEqual(info.maxzoom, 10);
+
+    await assert.rejects(newInstance({ ...query(vTileLiteral), bounds: '1,2,3' }), /bounds/);
+    await assert.rejects(newInstance({ ...query(vTileLiteral), metadataQuery: 'SELECT 1' }), /JSON object/);
+  });
+
+  it('returns vector_layers from the decoded tiles', async () => {
+    // A layer "poi" with a string "name" and a numeric "rank" fields
+    const poiTile = '1a2b78020a03706f69120d180112040000010122030932221a046e616d651a0472616e6b22030a017822022005';
+    const inst = await newInstance(
+      { query: `10-14:SELECT decode('${poiTile}', 'hex') WHERE $1 >= 0 AND $2 >= 0 AND $3 >= 0` },
+      { query: `0-9:${query(vTileLiteral).query}` },
+      { sampleTile: '12/10/10' }
+    );
+    const info = await promisify(inst.getInfo).apply(inst);
+    assert.deepStrictEqual(info.vector_layers, [{
+      id: 'poi', fields: { name: 'String', rank: 'Number' }, minzoom: 10, maxzoom: 14,
+    }]);
+  });
+
   it('multi-client', async () => {
     await newInstance(query(vTileLiteral), { host: PGHOST, port: PGPORT2 });
 
     // FIXME: TODO proper testing for multiple connections
   });
 
+  it('connects with a connection string and the password file', async () => {
+    const pgpass = path.join(os.tmpdir(), `pgquery-test-pgpass-${process.pid}`);
+    fs.writeFileSync(pgpass, `*:*:${PGDATABASE}:${PGUSER}:${PGPASSWORD}\n`, { mode: 0o600 });
+    const { PGPASSFILE } = process.env;
+    process.env.PGPASSFILE = pgpass;
+    const creator = promisify((uri, callback) => new PgQuery(uri, callback));
+    let inst;
+    try {
+      inst = await creator(`pgquery://?${new URLSearchParams({
+        connectionString: `postgresql://${PGUSER}@${PGHOST}:${PGPORT},${PGHOST}:${PGPORT2}/${PGDATABASE}?application_name=pgquery-test`,
+        serverInfo: false,
+        specInfo: false,
+        ...query(vTileLiteral),
+      })}`);
+      assert.deepStrictEqual(inst.pgpools.map(p => p.name), [`${PGHOST}:${PGPORT}`, `${PGHOST}:${PGPORT2}`]);
+      assert.deepStrictEqual(await promisify(inst.getTile).bind(inst)(...zxy), vTileGz);
+      const res = await inst.pgpools[1].pg.query('SHOW application_name');
+      assert.strictEqual(res.rows[0].application_name, 'pgquery-test');
+    } finally {
+      process.env.PGPASSFILE = PGPASSFILE;
+      if (PGPASSFILE === undefined) {
+        delete process.env.PGPASSFILE;
+      }
+      fs.unlinkSync(pgpass);
+      if (inst) {
+        await inst.shutdownAsync();
+      }
+    }
+  });
+
+  // Creates a source without the default host and port of newInstance
+  async function withConnectionString(connectionString, params, fn) {
+    const creator = promisify((uri, callback) => new PgQuery(uri, callback));
+    const inst = await creator(`pgquery://?${new URLSearchParams({
+      connectionString, serverInfo: false, specInfo: false, ...params,
+    })}`);
+    try {
+      await fn(inst);
+    } finally {
+      await inst.shutdownAsync();
+    }
+  }
+
+  it('connects to a Unix-domain socket', async function test() {
+    const socketDir = process.env.PGSOCKETDIR || '/tmp';
+    if (!fs.existsSync(path.join(socketDir, `.s.PGSQL.${PGPORT}`))) {
+      this.skip();
+    }
+    await withConnectionString(
+      `postgresql://${PGUSER}:${PGPASSWORD}@${encodeURIComponent(socketDir)}:${PGPORT}/${PGDATABASE}`,
+      query(vTileLiteral),
+      async (inst) => {
+        assert.deepStrictEqual(inst.pgpools.map(p => p.name), [`${socketDir}:${PGPORT}`]);
+        assert.deepStrictEqual(await promisify(inst.getTile).bind(inst)(...zxy), vTileGz);
+      }
+    );
+  });
+
+  it('accepts IPv6 hosts', async () => {
+    await withConnectionString(`postgresql://${PGUSER}@[::1]:5432,${PGHOST}:${PGPORT}/${PGDATABASE}`, {
+      ...query(vTileLiteral), testOnStartup: '', key: '0', gzip: 'false',
+    }, async (inst) => {
+      assert.deepStrictEqual(inst.pgpools.map(p => p.name), ['[::1]:5432', `${PGHOST}:${PGPORT}`]);
+      assert.strictEqual(inst.pgpools[0].pg.options.host, '::1');
+    });
+    await assert.rejects(newInstance({ ...query(vTileLiteral), host: 'db/1' }), /Parameter host has invalid value 'db\/1'/);
+  });
+
+  describe('shutdown', () => {
+    // Tiles with x=1 take the given number of seconds
+    const slowQuery = seconds => ({
+      query: `SELECT ${vTileLiteral}::bytea AS mvt FROM pg_sleep(CASE WHEN $2 = 1 THEN ${seconds} ELSE 0 END) WHERE $1 >= 0 AND $3 >= 0`,
+      key: '0',
+      gzip: 'false',
+    });
+
+    it('finishes the pending queries', async () => {
+      const inst = await newInstance(slowQuery(0.2));
+      const getTile = promisify(inst.getTile).bind(inst);
+      const pending = getTile(8, 1, 1);
+      // Let the query start
+      await new Promise(resolve => setTimeout(resolve, 50));
+      const shutdown = inst.shutdownAsync();
+      await assert.rejects(getTile(8, 2, 1), { code: PgQuery.shuttingDownCode });
+      assert.deepStrictEqual(await pending, vTile);
+      await shutdown;
+      assert.strictEqual(inst.shutdownAsync(), shutdown);
+      assert(inst.pgpools[0].pg.ended);
+    });
+
+    it('cancels the queries after shutdownTimeout', async () => {
+      const inst = await newInstance({ ...slowQuery(30), shutdownTimeout: 100 });
+      const getTile = promisify(inst.getTile).bind(inst);
+      const pending = assert.rejects(getTile(8, 1, 1), /canceling statement due to user request/);
+      await new Promise(resolve => setTimeout(resolve, 50));
+      await promisify(inst.close).bind(inst)();
+      await pending;
+      const { value } = await inst.iterateTiles([[8, 2, 1]]).next();
+      assert.strictEqual(value.error.code, PgQuery.shuttingDownCode);
+    });
+  });
+
+  it('fails over to a healthy server', async () => {
+    const inst = await newInstance({
+      ...query(vTileLiteral), testOnStartup: '', key: '0', gzip: 'false', maxFailures: 1,
+    }, { host: PGHOST, port: '1' });
+    const getTile = promisify(inst.getTile).bind(inst);
+    // Concurrent requests are spread between servers, so the unreachable one gets a request
+    await Promise.all([getTile(8, 10, 20), getTile(8, 10, 21).catch(() => {})]);
+    // Afterwards, it should be skipped
+    const tiles = await Promise.all([getTile(8, 10, 22), getTile(8, 10, 23), getTile(8, 10, 24)]);
+    assert.deepStrictEqual(tiles, [vTile, vTile, vTile]);
+    const health = inst.getHealth();
+    assert.strictEqual(health.length, 2);
+    assert.strictEqual(health[0].healthy, true);
+    assert.strictEqual(health[1].healthy, false);
+    assert.strictEqual(health[1].port, 1);
+  });
+
+  it('retries transient errors on another server', async () => {
+    const inst = await newInstance({
+      ...query(vTileLiteral), testOnStartup: '', key: '0', gzip: 'false', retries: 2, retryDelay: 1,
+    }, { host: PGHOST, port: '1' });
+    const [, unreachable] = inst.pgpools;
+    unreachable.pending = -100; // make sure the first attempt goes to the unreachable server
+    const tile = await inst._generateTileAsync(8, 10, 20);
+    unreachable.pending += 100;
+    assert.deepStrictEqual(tile, vTile);
+    assert.strictEqual(unreachable.metrics.requests[8].error, 1);
+  });
+
+  it('does not retry other errors', async () => {
+    const inst = await newInstance({
+      ...query(vTileLiteral), testOnStartup: '', key: '0', gzip: 'false', retries: 2, retryDelay: 1,
+    });
+    let attempts = 0;
+    inst._getRawTileAsync = async () => {
+      attempts++;
+      throw Object.assign(new Error('division by zero'), { code: '22012' });
+    };
+    await assert.rejects(inst._generateTileAsync(8, 10, 20), { code: '22012' });
+    assert.strictEqual(attempts, 1);
+  });
+
+  it('stops retrying after the retries limit', async () => {
+    const inst = await newInstance({
+      ...query(vTileLiteral), testOnStartup: '', key: '0', gzip: 'false', retries: 2, retryDelay: 1,
+    });
+    let attempts = 0;
+    inst._getRawTileAsync = async () => {
+      attempts++;
+      throw Object.assign(new Error('could not serialize access'), { code: '40001' });
+    };
+    await assert.rejects(inst._generateTileAsync(8, 10, 20), { code: '40001' });
+    assert.strictEqual(attempts, 3);
+  });
+
+  it('takes lagging replicas out of rotation', async () => {
+    const inst = await newInstance({
+      ...query(vTileLiteral), maxReplicationLag: '1000',
+    }, { host: PGHOST, port: PGPORT2 });
+    // The test servers are not replicas
+    const states = inst.getHealth().map(h => [h.inRecovery, h.replicationLag]);
+    assert.deepStrictEqual(states, [[false, 0], [false, 0]]);
+
+    // Pretend the second server is a replica that is 5 seconds behind
+    const [, replica] = inst.pgpools;
+    let lag = 5000;
+    replica.pg.query = async () => ({ rows: [{ recovery: true, lag: `${lag}` }] });
+    await inst._checkReplicationAsync();
+    let health = inst.getHealth()[1];
+    assert.strictEqual(health.replicationLag, 5000);
+    assert.strictEqual(health.lagging, true);
+    // Even with many pending requests on the first server, the replica is skipped
+    inst.pgpools[0].pending = 10;
+    assert.strictEqual(inst._selectPool(), inst.pgpools[0]);
+    assert(inst.getPrometheusMetrics().includes(`pgquery_replication_lag_seconds{host="${replica.name}"} 5\n`));
+
+    lag = 10;
+    await inst._checkReplicationAsync();
+    health = inst.getHealth()[1];
+    assert.strictEqual(health.lagging, false);
+    assert.strictEqual(inst._selectPool(), replica);
+    inst.pgpools[0].pending = 0;
+  });
+
+  it('reports the lag of a replica that stopped streaming', async function testReplica() {
+    if (!PGPORT_REPLICA) {
+      this.skip();
+    }
+    this.timeout(30000);
+    const connect = async (port) => {
+      const client = new Client({
+        database: PGDATABASE,
+        host: PGHOST,
+        port,
+        user: PGUSER,
+        password: PGPASSWORD,
+      });
+      await client.connect();
+      return client;
+    };
+    const waitFor = async (fn) => {
+      // eslint-disable-next-line no-await-in-loop
+      while (!await fn()) {
+        // eslint-disable-next-line no-await-in-loop
+        await new Promise(r => setTimeout(r, 50));
+      }
+    };
+    const primary = await connect(PGPORT);
+    const replica = await connect(PGPORT_REPLICA);
+    const isStreaming = async () => {
+      const res = await replica.query("SELECT count(*)::int AS n FROM pg_stat_wal_receiver WHERE status = 'streaming'");
+      return res.rows[0].n > 0;
+    };
+    // Commit a transaction on the primary, and wait for the replica to replay it
+    const replicate = async () => {
+      const lsn = (await primary.query('SELECT txid_current(), pg_current_wal_lsn() AS lsn')).rows[0].lsn;
+      await waitFor(async () => (await replica.query(
+        'SELECT pg_last_wal_replay_lsn() >= $1::pg_lsn AS done',
+        [lsn]
+      )).rows[0].done);
+    };
+    const conninfo = (await replica.query('SHOW primary_conninfo')).rows[0].primary_conninfo;
+    const setConninfo = async (value) => {
+      await replica.query(`ALTER SYSTEM SET primary_conninfo = '${value.replace(/'/g, "''")}'`);
+      await replica.query('SELECT pg_reload_conf()');
+    };
+    try {
+      await waitFor(isStreaming);
+      const inst = await newInstance({
+        ...query(vTileLiteral), maxReplicationLag: '1000', replicationCheckInterval: '100000',
+      }, { host: PGHOST, port: PGPORT_REPLICA });
+      await replicate();
+      await inst._checkReplicationAsync();
+      const states = inst.getHealth().map(h => [h.inRecovery, h.replicationLag]);
+      assert.deepStrictEqual(states, [[false, 0], [true, 0]]);
+
+      // Without the WAL receiver, the replica has replayed everything it has, but is not up to date
+      await setConninfo('');
+      await waitFor(async () => !await isStreaming());
+      await new Promise(r => setTimeout(r, 1100));
+      await inst._checkReplicationAsync();
+      const health = inst.getHealth()[1];
+      assert(health.replicationLag > 1000);
+      assert.strictEqual(health.lagging, true);
+
+      await setConninfo(conninfo);
+      await waitFor(isStreaming);
+      await replicate();
+      await inst._checkReplicationAsync();
+      assert.strictEqual(inst.getHealth()[1].lagging, false);
+    } finally {
+      await setConninfo(conninfo);
+      await primary.end();
+      await replica.end();
+    }
+  });
+
+  describe('balancing', () => {
+    const newBalancedInstance = balancing => newInstance({
+      ...query(vTileLiteral), balancing, maxpool: '2',
+    }, { host: PGHOST, port: PGPORT2 });
+
+    it('prefers faster servers with latency', async () => {
+      const inst = await newBalancedInstance('latency');
+      const [fast, slow] = inst.pgpools;
+      fast.avgLatency = 1000;
+      slow.avgLatency = 5000;
+      fast.pending = 4;
+      assert.strictEqual(inst._selectPool(), fast);
+      fast.pending = 5;
+      assert.strictEqual(inst._selectPool(), slow);
+      fast.pending = 0;
+      // The moving average follows the observed query time
+      await promisify(inst.getTile).bind(inst)(...zxy);
+      assert(fast.avgLatency < 1000);
+      assert.strictEqual(inst.getStats().hosts[0].avgLatency, fast.avgLatency);
+    });
+
+    it('picks the less busy of two servers with power-of-two', async () => {
+      const inst = await newBalancedInstance('power-of-two');
+      inst.pgpools[0].pending = 1;
+      for (let i = 0; i < 10; i++) {
+        assert.strictEqual(inst._selectPool(), inst.pgpools[1]);
+      }
+      inst.pgpools[0].pending = 0;
+    });
+
+    it('overflows from the primary when its connections are busy', async () => {
+      const inst = await newBalancedInstance('primary');
+      const [primary, other] = inst.pgpools;
+      primary.pending = 1;
+      assert.strictEqual(inst._selectPool(), primary);
+      primary.pending = 2;
+      assert.strictEqual(inst._selectPool(), other);
+      primary.pending = 0;
+    });
+
+    it('rejects unknown strategies', async () => {
+      await assert.rejects(newBalancedInstance('random'), /Unknown balancing/);
+    });
+  });
+
+  describe('zoom ranges', () => {
+    const hiTile = Buffer.from([0x1A, 1, 2, 3]);
+    const hiQuery = `SELECT decode('${hiTile.toString('hex')}', 'hex') WHERE $1 >= 0 AND $2 >= 0 AND $3 >= 0`;
+
+    it('uses a different query for each zoom range', async () => {
+      const inst = await newInstance(
+        { query: `0-8:${query(vTileLiteral).query}` },
+        { query: `9-14:${hiQuery}` }
+      );
+      const getTile = promisify(inst.getTile).bind(inst);
+      assert.deepStrictEqual(zlib.gunzipSync(await getTile(...zxy)), vTile);
+      assert.deepStrictEqual(zlib.gunzipSync(await getTile(9, 20, 46)), hiTile);
+      assert.deepStrictEqual(inst.tileQueries.map(v => [v.minzoom, v.maxzoom]), [[0, 8], [9, 14]]);
+    });
+
+    it('mixes query types', async () => {
+      const inst = await newInstance(
+        { ...query(vTileLiteral, false, 'funcZXY'), funcZXY: '10-14:pg_temp.test_mvt' },
+        { query: `0-9:${hiQuery}` }
+      );
+      const getTile = promisify(inst.getTile).bind(inst);
+      assert.deepStrictEqual(zlib.gunzipSync(await getTile(...zxy)), hiTile);
+      assert.deepStrictEqual(zlib.gunzipSync(await getTile(10, 20, 46)), vTile);
+    });
+
+    it('rejects overlapping and missing zoom ranges', async () => {
+      await assert.rejects(
+        newInstance({ query: `0-8:${hiQuery}` }, { query: `8-14:${hiQuery}` }),
+        /zoom 8/
+      );
+      await assert.rejects(
+        newInstance({ query: `0-8:${hiQuery}` }, { query: `10-14:${hiQuery}` }),
+        /zoom 9/
+      );
+    });
+  });
+
+  describe('tile parameters', () => {
+    // Returns a vector tile-like prefix followed by the text of the parameters
+    const paramTile = text => Buffer.concat([Buffer.from([0x1A]), Buffer.from(text)]);
+
+    it('passes parameters as JSON to a query', async () => {
+      const inst = await newInstance({
+        query: `SELECT decode('1a', 'hex') || convert_to($4::jsonb::text, 'UTF8')
+WHERE $1 >= 0 AND $2 >= 0 AND $3 >= 0`,
+        gzip: 'false',
+      }, { tileParam: 'lang:text=en' }, { tileParam: 'year:integer' });
+      const getTile = promisify(inst.getTile).bind(inst);
+      assert.deepStrictEqual(await getTile(...zxy, undefined), paramTile('{"lang": "en"}'));
+      assert.deepStrictEqual(await getTile(...zxy, { year: 2020 }), paramTile('{"lang": "en", "year": 2020}'));
+      assert.deepStrictEqual(await getTile(...zxy, '?lang=de&year=1999'), paramTile('{"lang": "de", "year": 1999}'));
+      await assert.rejects(getTile(...zxy, { year: 'abc' }), /invalid integer value/);
+      await assert.rejects(getTile(...zxy, 'theme=dark'), /Unknown tile parameter 'theme'/);
+    });
+
+    it('passes parameters as named arguments to a function', async () => {
+      const inst = await newInstance({
+        funcZXY: 'pg_temp.test_params',
+        connectionInitQuery: `\
+CREATE FUNCTION pg_temp.test_params(z integer, x integer, y integer, dark boolean, lang text DEFAULT 'x')
+RETURNS bytea AS $$
+SELECT decode('1a', 'hex') || convert_to(coalesce(lang, '-') || coalesce(dark::text, '-'), 'UTF8')
+$$ LANGUAGE SQL STABLE;`,
+        gzip: 'false',
+      }, { tileParam: 'lang:text' }, { tileParam: 'dark:boolean' });
+      const getTile = promisify(inst.getTile).bind(inst);
+      assert.deepStrictEqual(await getTile(...zxy), paramTile('--'));
+      assert.deepStrictEqual(await getTile(...zxy, { lang: 'en', dark: '1' }), paramTile('entrue'));
+    });
+
+    it('rejects invalid declarations', async () => {
+      await assert.rejects(newInstance({ ...query(vTileLiteral), tileParam: 'lang' }), /tileParam/);
+      await assert.rejects(newInstance({ ...query(vTileLiteral), tileParam: 'lang:blob' }), /tileParam/);
+      await assert.rejects(newInstance({ ...query(vTileLiteral), tileParam: 'year:integer=x' }), /invalid integer/);
+    });
+  });
+
+  describe('batches', () => {
+    // Returns the z/x/y of the tile, and no tile for the odd x values
+    const zxyQuery = `SELECT decode('1a', 'hex') || convert_to(concat_ws('/', $1::integer, $2::integer, $3::integer), 'UTF8')
+WHERE $2 % 2 = 0; `;
+    const zxyTile = (z, x, y) => Buffer.from(`\x1a${z}/${x}/${y}`);
+    const sortTiles = tiles => tiles.sort((a, b) => a.z - b.z || a.x - b.x || a.y - b.y);
+
+    it('gets many tiles with getTiles', async () => {
+      const inst = await newInstance({ query: zxyQuery, gzip: 'false', batchSize: 2 });
+      const getTiles = promisify(inst.getTiles).bind(inst);
+      const tiles = sortTiles(await getTiles([[8, 10, 20], [8, 10, 20], [8, 11, 20],
+        { z: 8, x: 12, y: 20 }, [9, 10, 20], [8, 256, 0], [15, 0, 0]]));
+      assert.deepStrictEqual(tiles.map(t => t.data), [
+        zxyTile(8, 10, 20), zxyTile(8, 10, 20), undefined, zxyTile(8, 12, 20), undefined,
+        zxyTile(9, 10, 20), undefined,
+      ]);
+      assert.deepStrictEqual(tiles.map(t => t.error && t.error.message), [
+        undefined, undefined, 'Tile does not exist', undefined,
+        'Invalid (x,y) coordinates (256, 0) for zoom=8', undefined, 'Tile does not exist',
+      ]);
+      assert.deepStrictEqual(tiles[0].headers, inst.headers);
+      // The same tile in a batch is queried only once, and the invalid ones are not queried at all
+      const { requests } = inst.getStats().hosts[0];
+      assert.deepStrictEqual(requests[8], {
+        ok: 2, empty: 1, error: 0, timeout: 0,
+      });
+    });
+
+    it('iterates over tiles with a function and tile parameters', async () => {
+      const inst = await newInstance({
+        funcZXY: 'pg_temp.test_batch',
+        connectionInitQuery: `\
+CREATE FUNCTION pg_temp.test_batch(z integer, x integer, y integer, lang text)
+RETURNS TABLE(mvt bytea, key text) AS $$
+SELECT decode('1a', 'hex') || convert_to(lang || x, 'UTF8'), '${MD5}'::text
+$$ LANGUAGE SQL STABLE;`,
+        testOnStartup: '8/10/20',
+      }, { tileParam: 'lang:text=en' });
+      function* list() {
+        for (let x = 0; x < 10; x++) {
+          yield [8, x, 0];
+        }
+      }
+      const tiles = [];
+      for await (const tile of inst.iterateTiles(list(), {
+        batchSize: 3, concurrency: 2, tileParams: 'lang=de',
+      })) {
+        tiles.push(tile);
+      }
+      sortTiles(tiles);
+      assert.strictEqual(tiles.length, 10);
+      for (const [x, { data }] of tiles.entries()) {
+        assert.deepStrictEqual(zlib.gunzipSync(data), Buffer.from(`\x1ade${x}`));
+        assert.strictEqual(data.key, MD5);
+      }
+    });
+
+    it('returns errors for each tile', async () => {
+      const inst = await newInstance({
+        query: 'SELECT decode(\'1a\', \'hex\') WHERE 1 / ($2 - 10) >= 0 AND $1 >= 0 AND $3 >= 0',
+        testOnStartup: '8/11/20',
+        gzip: 'false',
+      });
+      const getTiles = promisify(inst.getTiles).bind(inst);
+      const tiles = await getTiles([[8, 11, 20], [8, 10, 20]], { batchSize: 10 });
+      assert.deepStrictEqual(tiles.map(t => t.error.message), ['division by zero', 'division by zero']);
+    });
+
+    describe('createReadStream', () => {
+      const readAll = async (stream) => {
+        const tiles = [];
+        for await (const { z, x, y } of stream) {
+          tiles.push(`${z}/${x}/${y}`);
+        }
+        return tiles;
+      };
+
+      it('streams non-empty tiles in scanline order', async () => {
+        const inst = await newInstance({ query: zxyQuery, gzip: 'false', maxzoom: 2 });
+        const stream = inst.createReadStream({ batchSize: 2, concurrency: 1 });
+        let length;
+        stream.on('length', (v) => { length = v; });
+        assert.deepStrictEqual(await readAll(stream), [
+          '0/0/0', '1/0/0', '1/0/1', '2/0/0', '2/2/0', '2/0/1', '2/2/1', '2/0/2', '2/2/2', '2/0/3', '2/2/3',
+        ]);
+        assert.strictEqual(length, 21);
+      });
+
+      it('streams tiles in pyramid order', async () => {
+        const inst = await newInstance({ query: zxyQuery, gzip: 'false' });
+        const stream = inst.createReadStream({ type: 'pyramid', maxzoom: 2, batchSize: 3 });
+        assert.deepStrictEqual(await readAll(stream), [
+          '0/0/0', '1/0/0', '2/0/0', '2/0/1', '2/2/0', '2/2/1', '1/0/1', '2/0/2', '2/0/3', '2/2/2', '2/2/3',
+        ]);
+      });
+
+      it('streams the pyramid of a grid that does not double with each zoom', async () => {
+        const tileMatrixSet = JSON.stringify({
+          id: 'NationalGrid',
+          crs: 'EPSG:2056',
+          origin: [2420000, 1350000],
+          matrices: [[1, 1], [3, 2], [6, 4]],
+        });
+        const inst = await newInstance({ ...query(vTileLiteral), tileMatrixSet, maxzoom: 2 });
+        const pyramid = await readAll(inst.createReadStream({ type: 'pyramid', maxzoom: 1 }));
+        assert.deepStrictEqual(pyramid, ['0/0/0', '1/0/0', '1/1/0', '1/2/0', '1/0/1', '1/1/1', '1/2/1']);
+        const all = await readAll(inst.createReadStream({ type: 'pyramid' }));
+        assert.deepStrictEqual(all.slice(0, 8), ['0/0/0', '1/0/0', '2/0/0', '2/1/0', '2/0/1', '2/1/1', '1/1/0', '2/2/0']);
+        assert.strictEqual(all.length, 31);
+        assert.deepStrictEqual(all.sort(), (await readAll(inst.createReadStream())).sort());
+      });
+
+      it('streams tiles within the bounds', async () => {
+        const inst = await newInstance({ query: zxyQuery, gzip: 'false' });
+        const tiles = [];
+        for await (const tile of inst.createReadStream({
+          bounds: [-170, 10, -10, 80], minzoom: 1, maxzoom: 2,
+        })) {
+          tiles.push(tile);
+        }
+        assert.deepStrictEqual(tiles.map(t => `${t.z}/${t.x}/${t.y}`), ['1/0/0', '2/0/0', '2/0/1']);
+        assert.deepStrictEqual(tiles[0].buffer, zxyTile(1, 0, 0));
+        assert.deepStrictEqual(tiles[0].headers, inst.headers);
+        assert.throws(() => inst.createReadStream({ type: 'list' }), /Unknown stream type/);
+      });
+
+      it('fails on query errors', async () => {
+        const inst = await newInstance({
+          query: 'SELECT decode(\'1a\', \'hex\') WHERE 1 / ($2 - 1) >= 0 AND $1 >= 0 AND $3 >= 0',
+          gzip: 'false',
+        });
+        await assert.rejects(readAll(inst.createReadStream({ maxzoom: 1 })), /division by zero/);
+      });
+    });
+  });
+
+  it('coalesces identical concurrent requests', async () => {
+    const inst = await newInstance({
+      query: `SELECT ${vTileLiteral}::bytea AS mvt
+FROM pg_sleep(CASE WHEN $1 = 8 THEN 0.2 ELSE 0 END) WHERE $2 >= 0 AND $3 >= 0`,
+    });
+    const getTile = promisify(inst.getTile).bind(inst);
+    const tiles = await Promise.all([
+      getTile(...zxy), getTile(...zxy), getTile(8, 10, 24), getTile(...zxy),
+    ]);
+    assert.deepStrictEqual(tiles, [vTileGz, vTileGz, vTileGz, vTileGz]);
+    assert.strictEqual(inst.getStats().coalesced, 2);
+    assert.strictEqual(inst.inflight.size, 0);
+  });
+
+  describe('cache', () => {
+    // Each generated tile is different, but has the same key
+    const counterQuery = `SELECT decode('1a', 'hex') || convert_to(nextval('pgquery_test_seq')::text, 'UTF8'),
+'${MD5}'::text WHERE $1 >= 0 AND $2 >= 0 AND $3 >= 0`;
+
+    it('returns cached tiles', async () => {
+      const inst = await newInstance({ query: counterQuery, cacheMaxEntries: '10' });
+      const getTile = promisify(inst.getTile).bind(inst);
+      const tile = await getTile(...zxy);
+      assert.strictEqual(tile.key, MD5);
+      assert.strictEqual(await getTile(...zxy), tile);
+      assert.notDeepStrictEqual(await getTile(8, 10, 24), tile);
+      const stats = inst.getStats();
+      assert.strictEqual(stats.cacheHits, 1);
+      assert.strictEqual(stats.cacheMisses, 2);
+      assert.strictEqual(stats.cacheEntries, 2);
+    });
+
+    it('regenerates expired tiles', async () => {
+      const inst = await newInstance({ query: counterQuery, cacheMaxEntries: '10', cacheTtl: '1' });
+      const getTile = promisify(inst.getTile).bind(inst);
+      const tile = await getTile(...zxy);
+      await new Promise(r => setTimeout(r, 5));
+      assert.notDeepStrictEqual(await getTile(...zxy), tile);
+      assert.strictEqual(inst.getStats().cacheMisses, 2);
+    });
+
+    it('revalidates expired tiles with keyQuery', async () => {
+      const inst = await newInstance({
+        query: counterQuery,
+        cacheMaxBytes: '10000',
+        cacheTtl: '1',
+        keyQuery: `SELECT '${MD5}'::text WHERE $1 >= 0 AND $2 >= 0 AND $3 >= 0`,
+      });
+      const getTile = promisify(inst.getTile).bind(inst);
+      const tile = await getTile(...zxy);
+      await new Promise(r => setTimeout(r, 5));
+      assert.strictEqual(await getTile(...zxy), tile);
+      const stats = inst.getStats();
+      assert.strictEqual(stats.cacheRevalidated, 1);
+      assert.strictEqual(stats.cacheMisses, 1);
+    });
+
+    it('invalidates cached tiles', async () => {
+      const inst = await newInstance({ query: counterQuery, cacheMaxEntries: '10' });
+      const getTile = promisify(inst.getTile).bind(inst);
+      await Promise.all([getTile(...zxy), getTile(8, 10, 24), getTile(8, 200, 100)]);
+      const events = [];
+      inst.on('invalidate', e => events.push(e));
+
+      assert.deepStrictEqual(inst.invalidate('8/10/24 3/1/1'), { tiles: [[8, 10, 24], [3, 1, 1]], cleared: 1 });
+      // bbox around 8/10/23
+      assert.strictEqual(inst.invalidate('{"bbox": [-165.5, 81.2, -165, 81.25]}').cleared, 1);
+      assert.strictEqual(inst.invalidate({ all: true }).cleared, 1);
+      assert.strictEqual(inst.invalidate('8/300/0'), undefined);
+      assert.strictEqual(events.length, 3);
+      assert.strictEqual(inst.getStats().cacheEntries, 0);
+    });
+
+    it('does not share or cache the tiles generated before an invalidation', async () => {
+      const inst = await newInstance({
+        query: `SELECT decode('1a', 'hex') || convert_to(nextval('pgquery_test_seq')::text, 'UTF8'),
+'${MD5}'::text FROM pg_sleep(0.2) WHERE $1 >= 0 AND $2 >= 0 AND $3 >= 0`,
+        cacheMaxEntries: '10',
+      });
+      const getTile = promisify(inst.getTile).bind(inst);
+      const before = getTile(...zxy);
+      await new Promise(r => setTimeout(r, 50));
+      inst.invalidate(zxy.join('/'));
+      const after = getTile(...zxy);
+      const [oldTile, newTile] = await Promise.all([before, after]);
+      assert.notDeepStrictEqual(newTile, oldTile);
+      assert.strictEqual(inst.getStats().coalesced, 0);
+      assert.strictEqual(await getTile(...zxy), newTile);
+      assert.strictEqual(inst.getStats().cacheEntries, 1);
+      assert.strictEqual(inst.inflight.size, 0);
+    });
+
+    it('invalidates tiles on NOTIFY', async () => {
+      const inst = await newInstance({ ...query(vTileLiteral), listenChannel: 'tile_changes' });
+      const event = new Promise(r => inst.once('invalidate', r));
+      const client = new Client({
+        database: PGDATABASE,
+        host: PGHOST,
+        port: PGPORT,
+        user: PGUSER,
+        password: PGPASSWORD,
+      });
+      await client.connect();
+      await client.query("NOTIFY tile_changes, '{\"tiles\": [[8, 10, 23]]}'");
+      await client.end();
+      assert.deepStrictEqual(await event, { tiles: [[8, 10, 23]], cleared: 0 });
+    });
+
+    it('listens on the next server if the first one is down', async () => {
+      const inst = await newInstance({
+        ...query(vTileLiteral), testOnStartup: '', key: '0', gzip: 'false', port: '1', listenChannel: 'tile_changes',
+      }, { host: PGHOST, port: PGPORT });
+      assert.strictEqual(inst._listenPool, inst.pgpools[1]);
+      const event = new Promise(r => inst.once('invalidate', r));
+      const client = new Client({
+        database: PGDATABASE,
+        host: PGHOST,
+        port: PGPORT,
+        user: PGUSER,
+        password: PGPASSWORD,
+      });
+      await client.connect();
+      await client.query("NOTIFY tile_changes, '8/10/23'");
+      await client.end();
+      assert.deepStrictEqual(await event, { tiles: [[8, 10, 23]], cleared: 0 });
+    });
+
+    it('keeps trying to LISTEN if no server is available', async () => {
+      const inst = await newInstance({
+        ...query(vTileLiteral), testOnStartup: '', key: '0', gzip: 'false', port: '1', listenChannel: 'tile_changes',
+      });
+      assert.strictEqual(inst._listenClient, undefined);
+      assert(inst._listenTimer);
+    });
+
+    it('invalidates all tiles after the LISTEN connection is restored', async () => {
+      const inst = await newInstance({
+        query: counterQuery,
+        cacheMaxEntries: '10',
+        listenChannel: 'tile_changes',
+        healthCheckInterval: '50',
+      });
+      await promisify(inst.getTile).bind(inst)(...zxy);
+      const event = new Promise(r => inst.once('invalidate', r));
+      const client = new Client({
+        database: PGDATABASE,
+        host: PGHOST,
+        port: PGPORT,
+        user: PGUSER,
+        password: PGPASSWORD,
+      });
+      await client.connect();
+      await client.query('SELECT pg_terminate_backend($1)', [inst._listenClient.processID]);
+      await client.end();
+      // The notifications sent while disconnected are lost
+      assert.deepStrictEqual(await event, { all: true, cleared: 1 });
+      assert.strictEqual(inst.getStats().cacheEntries, 0);
+      assert(inst._listenClient);
+    });
+
+    it('caches empty tiles', async () => {
+      const inst = await newInstance({
+        query: `SELECT ${vTileLiteral} WHERE $1 <> 8 AND $2 >= 0 AND $3 >= 0`,
+        cacheMaxEntries: '10',
+      });
+      const getTile = promisify(inst.getTile).bind(inst);
+      await assert.rejects(getTile(...zxy), { message: 'Tile does not exist' });
+      await assert.rejects(getTile(...zxy), { message: 'Tile does not exist' });
+      assert.strictEqual(inst.getStats().cacheHits, 1);
+    });
+  });
+
+  describe('queryTimeout', () => {
+    // Only the tile on zoom 8 is slow
+    const slowQuery = () => `SELECT ${vTileLiteral}::bytea AS mvt
+FROM pg_sleep(CASE WHEN $1 = 8 THEN 1 ELSE 0 END) WHERE $2 >= 0 AND $3 >= 0`;
+
+    it('parses per-zoom values', async () => {
+      const inst = await newInstance({
+        ...query(vTileLiteral), maxzoom: '5', queryTimeout: '100',
+      }, { queryTimeout: '2-3:200' }, { queryTimeout: '5:300' });
+      assert.deepStrictEqual(inst.queryTimeouts, [100, 100, 200, 200, 100, 300]);
+    });
+
+    it('cancels a slow query', async () => {
+      const inst = await newInstance({ query: slowQuery(), queryTimeout: '8:100' });
+      const getTile = promisify(inst.getTile).bind(inst);
+      await assert.rejects(getTile(...zxy), { code: PgQuery.queryTimeoutCode });
+      // The connection is still usable for the other zooms
+      await getTile(14, 9268, 3575);
+    });
+
+    it('keeps the statement_timeout of the connectionInitQuery', async () => {
+      const inst = await newInstance({
+        query: slowQuery(),
+        queryTimeout: '5:2000',
+        maxpool: '1',
+        connectionInitQuery: 'SET statement_timeout = 200',
+      });
+      const getTile = promisify(inst.getTile).bind(inst);
+      const serverTimeout = err => err.code === '57014' && /statement timeout/.test(err.message);
+      await assert.rejects(getTile(...zxy), serverTimeout);
+      // Zoom 5 uses its own timeout, and then zoom 8 gets back the one of the connection
+      await getTile(5, 1, 1);
+      await assert.rejects(getTile(...zxy), serverTimeout);
+    });
+
+    it('reports timeout as empty tile with errorsAsEmpty', async () => {
+      const inst = await newInstance({
+        query: slowQuery(), queryTimeout: '8:100', errorsAsEmpty: '1',
+      });
+      const getTile = promisify(inst.getTile).bind(inst);
+      await assert.rejects(getTile(...zxy), { message: 'Tile does not exist' });
+    });
+  });
+
+  describe('compression', () => {
+    const hexQuery = buf => query(`decode('${buf.toString('hex')}', 'hex')`);
+    // zstd frame with a single raw block, made by hand because zlib may not support zstd
+    const vTileZstd = Buffer.concat([Buffer.from('28b52ffd2004210000', 'hex'), vTile]);
+
+    it('compresses with brotli', async () => {
+      const inst = await newInstance({ ...query(vTileLiteral), compression: 'br' });
+      const tile = await promisify(inst.getTile).bind(inst)(...zxy);
+      assert.deepStrictEqual(zlib.brotliDecompressSync(tile), vTile);
+      assert.deepStrictEqual(inst.headers, {
+        'Content-Type': 'application/x-protobuf',
+        'Content-Encoding': 'br',
+      });
+    });
+
+    it('detects brotli compressed data', () => assertGetTile(
+      hexQuery(zlib.brotliCompressSync(vTile)),
+      zlib.brotliCompressSync(vTile), 'application/x-protobuf', 'br'
+    ));
+
+    it('detects zstd compressed data', () => assertGetTile(
+      hexQuery(vTileZstd),
+      vTileZstd, 'application/x-protobuf', 'zstd'
+    ));
+
+    it('does not compress data twice', () => assertGetTile(
+      { ...query(vTileGzLiteral), compression: 'br' },
+      vTileGz, 'application/x-protobuf', 'gzip'
+    ));
+
+    it('does not compress with compression=none', () => assertGetTile(
+      { ...query(vTileLiteral), compression: 'none' },
+      vTile, 'application/x-protobuf'
+    ));
+
+    it('rejects invalid compression', async () => {
+      await assert.rejects(newInstance({ ...query(vTileLiteral), compression: 'lzma' }), /Unknown compression/);
+      await assert.rejects(newInstance({ ...query(vTileLiteral), compression: 'br', gzip: 'true' }), /cannot be used together/);
+    });
+  });
+
+  it('collects per-host metrics', async () => {
+    const inst = await newInstance({
+      // Tiles with x=0 are empty, and the zoom 8 is too slow
+      query: `SELECT ${vTileLiteral}::bytea AS mvt
+FROM pg_sleep(CASE WHEN $1 = 8 THEN 1 ELSE 0 END) WHERE $2 > 0 AND $3 >= 0`,
+      queryTimeout: '8:100',
+      errorsAsEmpty: '1',
+      name: 'test',
+    });
+    const getTile = promisify(inst.getTile).bind(inst);
+    await getTile(14, 9268, 3575);
+    await assert.rejects(getTile(14, 0, 3575), { message: 'Tile does not exist' });
+    await assert.rejects(getTile(...zxy), { message: 'Tile does not exist' });
+    // Invalid requests do not reach the server
+    await assert.rejects(getTile(14, -1, 0), /Invalid/);
+
+    const [host] = inst.getStats().hosts;
+    assert.strictEqual(host.healthy, true);
+    assert.deepStrictEqual(host.requests, {
+      8: {
+        ok: 0, empty: 0, error: 0, timeout: 1,
+      },
+      14: {
+        ok: 1, empty: 1, error: 0, timeout: 0,
+      },
+    });
+    assert.strictEqual(host.latency.count, 3);
+    assert.strictEqual(host.tileSize.count, 1);
+    assert.strictEqual(host.tileSize.sum, vTileGz.length);
+    assert.strictEqual(host.compressTime.count, 1);
+    assert.strictEqual(host.pool.pending, 0);
+
+    const text = inst.getPrometheusMetrics();
+    assert(text.includes(`pgquery_requests_total{source="test",host="${host.name}",zoom="8",outcome="timeout"} 1\n`));
+    assert(text.includes(`pgquery_tile_size_bytes_sum{source="test",host="${host.name}"} ${vTileGz.length}\n`));
+    assert(text.includes(`pgquery_host_up{source="test",host="${host.name}"} 1\n`));
+  });
+
   it('conn-str-params', async () => {
     const inst = await newInstance({ ...query(vTileLiteral), connStrParams: 'sslmode=disable' });
     const getInfo = promisify(inst.getInfo);
@@ -310,6 +1218,32 @@ $$ LANGUAGE SQL STABLE RETURNS NULL ON NULL INPUT;`,
     assert(info);
   });
 
+  describe('sslmode', () => {
+    // The test servers do not support SSL
+    it('falls back to unencrypted connections with prefer', async () => {
+      const inst = await newInstance({ ...query(vTileLiteral), sslmode: 'prefer' });
+      assert.strictEqual(inst.pgpools[0].pg.options.ssl, false);
+      await promisify(inst.getTile).bind(inst)(...zxy);
+    });
+
+    it('requires SSL with require', async () => {
+      await assert.rejects(newInstance({ ...query(vTileLiteral), sslmode: 'require' }), /does not support SSL/);
+    });
+
+    it('validates the parameters', async () => {
+      await assert.rejects(newInstance({ ...query(vTileLiteral), sslmode: 'allow' }), /Unsupported sslmode/);
+      await assert.rejects(newInstance({
+        ...query(vTileLiteral), sslmode: 'verify-full', sslrootcert: '/nonexistent/root.crt',
+      }), /Unable to read the sslrootcert file "\/nonexistent\/root.crt"/);
+      await assert.rejects(newInstance({
+        ...query(vTileLiteral), sslmode: 'verify-ca', sslcert: '/nonexistent/postgresql.crt',
+      }), /sslcert and sslkey must be used together/);
+      await assert.rejects(newInstance({
+        ...query(vTileLiteral), sslmode: 'require', sslcert: __filename, sslkey: __filename,
+      }), /Unable to load the sslkey file/);
+    });
+  });
+
   it('resolveDns', async () => {
     await newInstance({ ...query(vTileLiteral), resolveDns: true });
   });
@@ -348,4 +1282,474 @@ $$ LANGUAGE SQL STABLE RETURNS NULL ON NULL INPUT;`,
     });
     assert.deepStrictEqual([15, 18536, 7150], inst.parseTestOnStartup(undefined));
   });
+
+  describe('bounds', () => {
+    it('rejects tiles outside of the bounds without a query', async () => {
+      const inst = await newInstance({ ...query(vTileLiteral), bounds: '5,45,10,48' });
+      const getTile = promisify(inst.getTile).bind(inst);
+      // The default test tile is outside, so the one in the middle of the bounds is used instead
+      assert.deepStrictEqual(inst.parseTestOnStartup(undefined), [14, 8533, 5794]);
+      assert.deepStrictEqual(await getTile(8, 134, 90), vTileGz);
+      await assert.rejects(getTile(8, 10, 90), /Tile does not exist/);
+      await assert.rejects(getTile(...zxy), /Tile does not exist/);
+      assert.deepStrictEqual(Object.keys(inst.getStats().hosts[0].requests), ['8']);
+      assert.strictEqual(inst.getStats().hosts[0].requests[8].ok, 1);
+      assert.deepStrictEqual(inst.getInfoObj().bounds, [5, 45, 10, 48]);
+      assert.throws(() => inst.parseTestOnStartup('8/10/90'), /outside of the bounds/);
+    });
+
+    it('loads the bounds from a GeoJSON file', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pgquery-'));
+      try {
+        const boundsFile = path.join(dir, 'bounds.geojson');
+        fs.writeFileSync(boundsFile, JSON.stringify({
+          type: 'Polygon',
+          coordinates: [[[5, 45], [10, 45], [5, 48], [5, 45]]],
+        }));
+        const inst = await newInstance({ ...query(vTileLiteral), boundsFile });
+        assert.deepStrictEqual(inst.getInfoObj().bounds, [5, 45, 10, 48]);
+        assert(inst.validateXY(8, 134, 90));
+        await assert.rejects(promisify(inst.getTile).bind(inst)(8, 10, 90), /Tile does not exist/);
+        await assert.rejects(
+          newInstance({ ...query(vTileLiteral), boundsFile, bounds: '5,45,10,48' }),
+          /bounds and boundsFile cannot be used together/
+        );
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('queryFile reload', () => {
+    const tileQuery = hex => `SELECT decode('${hex}', 'hex') AS mvt WHERE $1::integer >= 0 AND $2::integer >= 0 AND $3::integer >= 0`;
+
+    async function withQueryFile(params, fn) {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pgquery-'));
+      try {
+        const queryFile = path.join(dir, 'query.sql');
+        fs.writeFileSync(queryFile, tileQuery(vTile.toString('hex')));
+        const inst = await newInstance({ queryFile, ...params });
+        await fn(inst, queryFile);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    }
+
+    it('replaces the query after a successful test', () => withQueryFile({
+      cacheMaxEntries: 10,
+    }, async (inst, queryFile) => {
+      const getTile = promisify(inst.getTile).bind(inst);
+      const getTiles = promisify(inst.getTiles).bind(inst);
+      assert.deepStrictEqual(await getTile(...zxy), vTileGz);
+      assert.deepStrictEqual((await getTiles([zxy]))[0].data, vTileGz);
+      const oldName = inst.queryByZoom[8].getTileQueryObj.name;
+
+      const newTile = Buffer.from([0x1A, 1, 2, 3]);
+      fs.writeFileSync(queryFile, tileQuery(newTile.toString('hex')));
+      const events = [];
+      inst.on('reload', e => events.push(e));
+      const expected = [{ file: queryFile, minzoom: 0, maxzoom: 14 }];
+      assert.deepStrictEqual(await inst.reloadQueryFileAsync(queryFile), expected);
+      assert.deepStrictEqual(events, expected);
+      assert.notStrictEqual(inst.queryByZoom[8].getTileQueryObj.name, oldName);
+      // The cached tile was removed, and the pooled connection prepares the new statement
+      assert.deepStrictEqual(zlib.gunzipSync(await getTile(...zxy)), newTile);
+      const [batchTile] = await getTiles([zxy]);
+      assert.deepStrictEqual(zlib.gunzipSync(batchTile.data), newTile);
+      assert.strictEqual(inst.getStats().queryReloads, 1);
+
+      // Unchanged files are ignored
+      assert.deepStrictEqual(await inst.reloadQueryFileAsync(queryFile), []);
+    }));
+
+    it('keeps the old query if the new one fails', () => withQueryFile({}, async (inst, queryFile) => {
+      const getTile = promisify(inst.getTile).bind(inst);
+      const def = inst.queryByZoom[8];
+
+      fs.writeFileSync(queryFile, 'SELECT no_such_column');
+      let [event] = await inst.reloadQueryFileAsync(queryFile);
+      assert.match(event.error.message, /no_such_column/);
+      assert.strictEqual(inst.queryByZoom[8], def);
+      assert.deepStrictEqual(await getTile(...zxy), vTileGz);
+
+      // The new query must return the same kind of tiles
+      fs.writeFileSync(queryFile, tileQuery(jpgTile.toString('hex')));
+      [event] = await inst.reloadQueryFileAsync(queryFile);
+      assert.match(event.error.message, /have Content-Type "image\/jpeg"/);
+      assert.strictEqual(inst.queryByZoom[8], def);
+      assert.strictEqual(inst.getStats().queryReloadErrors, 2);
+    }));
+
+    it('decodes the pending tiles with the query they were generated with', () => withQueryFile({}, async (inst, queryFile) => {
+      const getTile = promisify(inst.getTile).bind(inst);
+      // Zoom 8 is slow, and the new query adds the key column
+      fs.writeFileSync(queryFile, `SELECT ${vTileLiteral}::bytea AS mvt
+FROM pg_sleep(CASE WHEN $1 = 8 THEN 0.5 ELSE 0 END) WHERE $2 >= 0 AND $3 >= 0`);
+      await inst.reloadQueryFileAsync(queryFile);
+      const pending = getTile(...zxy);
+      await new Promise(r => setTimeout(r, 100));
+      fs.writeFileSync(queryFile, tileQuery(vTile.toString('hex')).replace(' AS mvt', ` AS mvt, '${MD5}'::text AS key`));
+      const [event] = await inst.reloadQueryFileAsync(queryFile);
+      assert.strictEqual(event.error, undefined);
+      assert.strictEqual(inst.queryByZoom[8].useKeyColumn, true);
+      assert.deepStrictEqual(await pending, vTileGz);
+      assert.strictEqual((await getTile(...zxy)).key, MD5);
+    }));
+
+    it('deallocates the replaced prepared statements', () => withQueryFile({
+      maxpool: 1,
+    }, async (inst, queryFile) => {
+      const getTile = promisify(inst.getTile).bind(inst);
+      const preparedNames = async () => {
+        const res = await inst.pgpools[0].pg.query('SELECT name FROM pg_prepared_statements ORDER BY name');
+        return res.rows.map(r => r.name);
+      };
+      await getTile(...zxy);
+      fs.writeFileSync(queryFile, tileQuery('1a010203'));
+      await inst.reloadQueryFileAsync(queryFile);
+      // The rejected query was prepared by its test
+      fs.writeFileSync(queryFile, tileQuery(jpgTile.toString('hex')));
+      await inst.reloadQueryFileAsync(queryFile);
+      await getTile(...zxy);
+      assert.deepStrictEqual(await preparedNames(), [inst.queryByZoom[8].getTileQueryObj.name]);
+      assert.strictEqual(inst.staleStatements.size, 0);
+    }));
+
+    it('forgets the replaced prepared statements of closed connections', () => withQueryFile({
+      maxpool: 1,
+    }, async (inst, queryFile) => {
+      fs.writeFileSync(queryFile, tileQuery('1a010203'));
+      await inst.reloadQueryFileAsync(queryFile);
+      assert.deepStrictEqual([...inst.staleStatements.keys()], [`getTile_${inst.sourceId}_0_14`]);
+      // Close the only connection
+      const client = await inst.pgpools[0].pg.connect();
+      client.release(true);
+      assert.strictEqual(inst.staleStatements.size, 0);
+      assert.strictEqual(inst.statementClients.size, 0);
+      const getTile = promisify(inst.getTile).bind(inst);
+      assert.deepStrictEqual(zlib.gunzipSync(await getTile(...zxy)), Buffer.from('1a010203', 'hex'));
+    }));
+
+    it('watches the file for changes', () => withQueryFile({
+      watchQueryFile: true, watchInterval: 20,
+    }, async (inst, queryFile) => {
+      const reloaded = new Promise(resolve => inst.once('reload', resolve));
+      // The watcher reads the initial state of the file asynchronously
+      await new Promise(r => setTimeout(r, 100));
+      // Make sure the modification time changes even on file systems with a coarse resolution
+      fs.writeFileSync(queryFile, tileQuery('1a010203'));
+      const future = new Date(Date.now() + 5000);
+      fs.utimesSync(queryFile, future, future);
+      const event = await reloaded;
+      assert.strictEqual(event.error, undefined);
+      const getTile = promisify(inst.getTile).bind(inst);
+      assert.deepStrictEqual(zlib.gunzipSync(await getTile(...zxy)), Buffer.from('1a010203', 'hex'));
+    }));
+
+    it('keeps watching the file after another source using it is closed', () => withQueryFile({
+      watchQueryFile: true, watchInterval: 20,
+    }, async (inst, queryFile) => {
+      const create = promisify((uri, callback) => new PgQuery(uri, callback));
+      const other = await create(`pgquery://?${new URLSearchParams({
+        database: PGDATABASE,
+        host: PGHOST,
+        port: PGPORT,
+        username: PGUSER,
+        password: PGPASSWORD,
+        serverInfo: false,
+        specInfo: false,
+        queryFile,
+        watchQueryFile: true,
+        watchInterval: 20,
+      })}`);
+      await other.shutdownAsync();
+      const reloaded = new Promise(resolve => inst.once('reload', resolve));
+      await new Promise(r => setTimeout(r, 100));
+      fs.writeFileSync(queryFile, tileQuery('1a010203'));
+      const future = new Date(Date.now() + 5000);
+      fs.utimesSync(queryFile, future, future);
+      assert.strictEqual((await reloaded).error, undefined);
+    }));
+  });
+
+  describe('config file', () => {
+    const create = promisify((uri, callback) => new PgQuery(uri, callback));
+
+    it('creates sources that share the connection pools', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pgquery-'));
+      const instances = [];
+      try {
+        const file = path.join(dir, 'tiles.yaml');
+        fs.writeFileSync(file, `
+connection:
+  host: ${PGHOST}
+  port: ${PGPORT}
+  database: ${PGDATABASE}
+  username: ${PGUSER}
+  password: ${PGPASSWORD}
+sources:
+  vector:
+    query: ${JSON.stringify(query(vTileLiteral).query)}
+    maxzoom: 10
+    serverInfo: false
+    specInfo: false
+    headers:
+      Cache-Control: max-age=60
+    tilejson:
+      attribution: Test data
+  images:
+    query: ${JSON.stringify(query(jpgTileLiteral).query)}
+    serverInfo: false
+    specInfo: false
+`);
+        const vector = await create(`pgquery://?config=${encodeURIComponent(file)}&source=vector`);
+        instances.push(vector);
+        const images = await create(`pgquery://?config=${encodeURIComponent(file)}&source=images&maxzoom=5`);
+        instances.push(images);
+        assert.strictEqual(vector.pgpools[0].pg, images.pgpools[0].pg);
+        assert.notStrictEqual(vector.pgpools[0], images.pgpools[0]);
+
+        const getVectorTile = promisify(vector.getTile).bind(vector);
+        assert.deepStrictEqual(await getVectorTile(...zxy), vTileGz);
+        assert.deepStrictEqual(vector.headers, {
+          'Content-Type': 'application/x-protobuf',
+          'Content-Encoding': 'gzip',
+          'Cache-Control': 'max-age=60',
+        });
+        const info = vector.getInfoObj();
+        assert.strictEqual(info.attribution, 'Test data');
+        assert.strictEqual(info.maxzoom, 10);
+        assert(vector.getPrometheusMetrics().includes('source="vector"'));
+
+        // URI parameters take precedence over the config file
+        assert.strictEqual(images.getInfoObj().maxzoom, 5);
+        assert.deepStrictEqual(images.headers, { 'Content-Type': 'image/jpeg' });
+
+        // The pool is closed when the last source is closed
+        await instances.shift().shutdownAsync();
+        assert.deepStrictEqual(await promisify(images.getTile).bind(images)(5, 1, 1), jpgTile);
+        await instances.shift().shutdownAsync();
+        assert(images.pgpools[0].pg.ending);
+      } finally {
+        await Promise.all(instances.map(inst => inst.shutdownAsync()));
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('loads the files relative to the config file', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pgquery-'));
+      const cwd = process.cwd();
+      let inst;
+      try {
+        fs.mkdirSync(path.join(dir, 'config'));
+        fs.mkdirSync(path.join(dir, 'other'));
+        fs.writeFileSync(path.join(dir, 'config', 'query.sql'), query(vTileLiteral).query);
+        fs.writeFileSync(path.join(dir, 'config', 'bounds.geojson'), JSON.stringify({
+          type: 'Polygon',
+          coordinates: [[[-180, -85], [180, -85], [180, 85], [-180, 85], [-180, -85]]],
+        }));
+        const file = path.join(dir, 'config', 'tiles.yaml');
+        fs.writeFileSync(file, `
+connection:
+  host: ${PGHOST}
+  port: ${PGPORT}
+  database: ${PGDATABASE}
+  username: ${PGUSER}
+  password: ${PGPASSWORD}
+sources:
+  vector:
+    queryFile: query.sql
+    boundsFile: bounds.geojson
+    serverInfo: false
+    specInfo: false
+`);
+        process.chdir(path.join(dir, 'other'));
+        inst = await create(`pgquery://?config=${encodeURIComponent(file)}`);
+        assert.deepStrictEqual(inst.getInfoObj().bounds, [-180, -85, 180, 85]);
+        assert.deepStrictEqual(await promisify(inst.getTile).bind(inst)(...zxy), vTileGz);
+      } finally {
+        process.chdir(cwd);
+        if (inst) await inst.shutdownAsync();
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('shares the pools between the sources with prepared statements', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pgquery-'));
+      const instances = [];
+      try {
+        const file = path.join(dir, 'tiles.yaml');
+        fs.writeFileSync(file, `
+connection:
+  host: ${PGHOST}
+  port: ${PGPORT}
+  database: ${PGDATABASE}
+  username: ${PGUSER}
+  password: ${PGPASSWORD}
+  maxpool: 1
+sources:
+  vector:
+    query: ${JSON.stringify(query(vTileLiteral).query)}
+    prepareStatement: true
+    serverInfo: false
+    specInfo: false
+  images:
+    query: ${JSON.stringify(query(jpgTileLiteral).query)}
+    prepareStatement: true
+    serverInfo: false
+    specInfo: false
+  broken:
+    query: SELECT no_such_column
+    serverInfo: false
+    specInfo: false
+`);
+        const uri = source => `pgquery://?config=${encodeURIComponent(file)}&source=${source}`;
+        instances.push(await create(uri('vector')));
+        instances.push(await create(uri('images')));
+        await assert.rejects(create(uri('broken')), /no_such_column/);
+        const [vector, images] = instances;
+        assert.deepStrictEqual(await promisify(vector.getTile).bind(vector)(...zxy), vTileGz);
+        assert.deepStrictEqual(await promisify(images.getTile).bind(images)(...zxy), jpgTile);
+
+        // The failed source does not keep the pool open
+        await Promise.all(instances.splice(0).map(inst => inst.shutdownAsync()));
+        assert(vector.pgpools[0].pg.ending);
+      } finally {
+        await Promise.all(instances.map(inst => inst.shutdownAsync()));
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('rejects invalid sources', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pgquery-'));
+      try {
+        const file = path.join(dir, 'tiles.json');
+        fs.writeFileSync(file, JSON.stringify({ sources: { roads: { maxzoom: '5' } } }));
+        await assert.rejects(
+          create(`pgquery://?config=${encodeURIComponent(file)}`),
+          /Invalid config file ".*tiles.json": sources.roads.maxzoom must be an integer zoom from 0 to 22, but got "5"/
+        );
+        fs.writeFileSync(file, JSON.stringify({ sources: { roads: { maxzoom: 5 } } }));
+        await assert.rejects(
+          create(`pgquery://?config=${encodeURIComponent(file)}&source=water`),
+          /has no source "water", expected one of roads/
+        );
+        await assert.rejects(newInstance({ source: 'roads' }), /Parameter source requires the config parameter/);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('tileMatrixSet', () => {
+    it('validates tiles of WorldCRS84Quad', async () => {
+      const inst = await newInstance({ ...query(vTileLiteral), tileMatrixSet: 'WorldCRS84Quad' });
+      const getTile = promisify(inst.getTile).bind(inst);
+      assert.deepStrictEqual(inst.parseTestOnStartup(undefined), [14, 18537, 1759]);
+      assert.deepStrictEqual(await getTile(1, 3, 1), vTileGz);
+      await assert.rejects(getTile(1, 4, 1), /Invalid \(x,y\) coordinates \(4, 1\) for zoom=1/);
+      await assert.rejects(getTile(1, 0, 2), /Invalid \(x,y\) coordinates/);
+      const info = inst.getInfoObj();
+      assert.deepStrictEqual(info.bounds, [-180, -90, 180, 90]);
+      assert.deepStrictEqual(info.tileMatrixSet, {
+        id: 'WorldCRS84Quad',
+        crs: 'http://www.opengis.net/def/crs/OGC/1.3/CRS84',
+        origin: [-180, 90],
+      });
+      assert.strictEqual((await newInstance()).getInfoObj().tileMatrixSet, undefined);
+    });
+
+    it('uses a custom definition', async () => {
+      const tileMatrixSet = JSON.stringify({
+        id: 'NationalGrid',
+        crs: 'http://www.opengis.net/def/crs/EPSG/0/2056',
+        origin: [2420000, 1350000],
+        bounds: [5.9, 45.8, 10.5, 47.8],
+        matrices: [[1, 1], [3, 2], [6, 4]],
+      });
+      await assert.rejects(
+        newInstance({ ...query(vTileLiteral), tileMatrixSet }),
+        /Tile matrix set NationalGrid does not define zoom 3, maxzoom must be 2 or less/
+      );
+      const inst = await newInstance({ ...query(vTileLiteral), tileMatrixSet, maxzoom: 2 });
+      assert.deepStrictEqual(inst.parseTestOnStartup(undefined), [2, 3, 2]);
+      assert(inst.validateXY(1, 2, 1));
+      assert(!inst.validateXY(1, 3, 1));
+      assert.deepStrictEqual(inst.getInfoObj().bounds, [5.9, 45.8, 10.5, 47.8]);
+      await assert.rejects(
+        newInstance({ ...query(vTileLiteral), tileMatrixSet: 'NoSuchSet' }),
+        /Unknown tileMatrixSet "NoSuchSet"/
+      );
+    });
+  });
+
+  it('generates tiles from tables', async function test() {
+    const client = new Client({
+      database: PGDATABASE,
+      host: PGHOST,
+      port: PGPORT,
+      user: PGUSER,
+      password: PGPASSWORD,
+    });
+    await client.connect();
+    try {
+      const res = await client.query("SELECT extversion FROM pg_extension WHERE extname = 'postgis'");
+      // ST_TileEnvelope with a margin requires PostGIS 3.1
+      if (res.rows.length === 0 || !(parseFloat(res.rows[0].extversion) >= 3.1)) {
+        this.skip();
+      }
+      // Features inside of the 8/10/23 tile, in the WGS84 and in the Web Mercator projections
+      await client.query(`
+CREATE TABLE pgquery_test_roads (name text, kind text, geom geometry(LineString, 4326));
+INSERT INTO pgquery_test_roads VALUES
+  ('main', 'primary', ST_GeomFromText('LINESTRING(-165.5 81.2, -165 81.25)', 4326)),
+  ('far', 'primary', ST_GeomFromText('LINESTRING(10 45, 11 46)', 4326));
+CREATE TABLE pgquery_test_pois (geom geometry(Point, 3857), rank integer);
+INSERT INTO pgquery_test_pois VALUES
+  (ST_Transform(ST_GeomFromText('POINT(-165.2 81.22)', 4326), 3857), 1)`);
+      const inst = await newInstance({
+        tables: 'pgquery_test_roads,public.pgquery_test_pois',
+        testOnStartup: zxy.join('/'),
+      });
+      let tile = await promisify(inst.getTile).bind(inst)(...zxy);
+      if (inst.headers['Content-Encoding'] === 'gzip') {
+        tile = zlib.gunzipSync(tile);
+      }
+      // The order of the layers is not guaranteed
+      const layers = mvt.decodeLayers(tile).sort((l1, l2) => l1.name.localeCompare(l2.name));
+      assert.deepStrictEqual(layers, [
+        {
+          name: 'pgquery_test_pois', version: 2, extent: 4096, features: 1, fields: { rank: 'Number' },
+        },
+        {
+          name: 'pgquery_test_roads', version: 2, extent: 4096, features: 1, fields: { name: 'String', kind: 'String' },
+        },
+      ]);
+    } finally {
+      await client.query('DROP TABLE IF EXISTS pgquery_test_roads, pgquery_test_pois');
+      await client.end();
+    }
+  });
+});
+
+describe('Query generation', () => {
+  it('builds MVT query from tables', () => {
+    const sql = PgQuery.buildTablesQuery([
+      {
+        name: 'roads', schema: 'public', table: 'roads', geometry: 'geom', srid: 4326, columns: ['name', 'kind'],
+      },
+      {
+        name: "it's", schema: 'osm', table: "it's", geometry: 'way', srid: 3857, columns: [],
+      },
+    ], 4096, 64);
+    assert(sql.startsWith("SELECT STRING_AGG(mvtl, '') AS mvt FROM ("));
+    assert(sql.includes('ST_AsMVTGeom(ST_Transform("geom", 3857), ST_TileEnvelope($1, $2, $3), 4096, 64, true) AS mvtgeom, "name", "kind"'));
+    assert(sql.includes('FROM "public"."roads"'));
+    assert(sql.includes('WHERE "geom" && ST_Transform(ST_TileEnvelope($1, $2, $3, margin => 0.015625), 4326)'));
+    assert(sql.includes("ST_AsMVT(tile, 'it''s', 4096, 'mvtgeom')"));
+    assert(sql.includes('ST_AsMVTGeom("way", ST_TileEnvelope($1, $2, $3), 4096, 64, true) AS mvtgeom\n'));
+    assert(sql.includes('FROM "osm"."it\'s"'));
+    assert(sql.includes('WHERE "way" && ST_TileEnvelope($1, $2, $3, margin => 0.015625)'));
+    assert.strictEqual(sql.split('UNION ALL').length, 2);
+  });
 });
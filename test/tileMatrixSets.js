@@ -0,0 +1,56 @@
+const { describe, it } = require('mocha');
+const assert = require('assert');
+
+const { getTileMatrixSet, bboxToTileRange } = require('../lib/tileMatrixSets');
+
+describe('tileMatrixSets', () => {
+  it('defines the OGC tile matrix sets', () => {
+    const webMercator = getTileMatrixSet('WebMercatorQuad');
+    assert.strictEqual(webMercator.id, 'WebMercatorQuad');
+    assert.deepStrictEqual(webMercator.matrixSize(3), [8, 8]);
+    assert.deepStrictEqual(bboxToTileRange(webMercator, webMercator.bounds, 2), [0, 0, 3, 3]);
+    assert.deepStrictEqual(bboxToTileRange(webMercator, [0.1, 0.1, 10, 10], 4), [8, 7, 8, 7]);
+
+    const crs84 = getTileMatrixSet('WorldCRS84Quad');
+    assert.deepStrictEqual(crs84.matrixSize(0), [2, 1]);
+    assert.deepStrictEqual(crs84.matrixSize(3), [16, 8]);
+    assert.deepStrictEqual(bboxToTileRange(crs84, [-180, -90, 180, 90], 1), [0, 0, 3, 1]);
+    assert.deepStrictEqual(bboxToTileRange(crs84, [0.1, 0.1, 10, 10], 4), [16, 7, 16, 7]);
+
+    const mercator = getTileMatrixSet('WorldMercatorWGS84Quad');
+    assert.deepStrictEqual(mercator.matrixSize(2), [4, 4]);
+    assert.deepStrictEqual(bboxToTileRange(mercator, [-10, 84, 10, 85], 3), [3, 0, 4, 0]);
+  });
+
+  it('parses custom definitions', () => {
+    const custom = getTileMatrixSet(JSON.stringify({
+      id: 'NationalGrid',
+      crs: { uri: 'http://www.opengis.net/def/crs/EPSG/0/2056' },
+      tileMatrices: [
+        { matrixWidth: 3, matrixHeight: 2, pointOfOrigin: [2420000, 1350000] },
+        { matrixWidth: 6, matrixHeight: 4, pointOfOrigin: [2420000, 1350000] },
+      ],
+    }));
+    assert.strictEqual(custom.id, 'NationalGrid');
+    assert.strictEqual(custom.crs, 'http://www.opengis.net/def/crs/EPSG/0/2056');
+    assert.deepStrictEqual(custom.origin, [2420000, 1350000]);
+    assert.deepStrictEqual(custom.matrixSize(1), [6, 4]);
+    assert.strictEqual(custom.matrixSize(2), undefined);
+    // The projection is unknown, so the bounding box covers the whole matrix
+    assert.deepStrictEqual(bboxToTileRange(custom, [5, 45, 6, 46], 1), [0, 0, 5, 3]);
+
+    const short = getTileMatrixSet('{"crs": "EPSG:2056", "matrices": [[1, 1], [2, 3]], "bounds": [5, 45, 11, 48]}');
+    assert.strictEqual(short.id, 'custom');
+    assert.deepStrictEqual(short.matrixSize(1), [2, 3]);
+    assert.deepStrictEqual(short.bounds, [5, 45, 11, 48]);
+  });
+
+  it('rejects invalid definitions', () => {
+    assert.throws(() => getTileMatrixSet('NoSuchSet'), /Unknown tileMatrixSet "NoSuchSet"/);
+    assert.throws(() => getTileMatrixSet('{"crs": '), /Unable to parse tileMatrixSet JSON/);
+    assert.throws(() => getTileMatrixSet('{"crs": "EPSG:2056"}'), /either tileMatrices or matrices/);
+    assert.throws(() => getTileMatrixSet('{"crs": "EPSG:2056", "matrices": [[1, 1], [0, 2]]}'), /matrix of zoom 1/);
+    assert.throws(() => getTileMatrixSet('{"matrices": [[1, 1]]}'), /crs must be set/);
+    assert.throws(() => getTileMatrixSet('{"crs": "x", "matrices": [[1, 1]], "origin": [1]}'), /origin must be/);
+  });
+});